@@ -0,0 +1,1129 @@
+// OpenAPI description of the HTTP API; server.js serves it at /openapi.json and validates requests against it
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+const jsonBody = (schema, required = true) => ({
+    required,
+    content: { 'application/json': { schema } }
+});
+
+const jsonResponse = (description, schema = ref('Success')) => ({
+    description,
+    content: { 'application/json': { schema } }
+});
+
+const errors = (...statuses) => Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/${status}` }]));
+
+const path = (name, schema = { type: 'string', minLength: 1 }, description) => ({
+    name, in: 'path', required: true, schema, ...(description ? { description } : {})
+});
+
+const query = (name, schema, description, required = false) => ({
+    name, in: 'query', required, schema, ...(description ? { description } : {})
+});
+
+const booleanQuery = (name, description) => query(name, { type: 'boolean' }, description);
+
+const limitQuery = (maximum) => query('limit', { type: 'integer', minimum: 1, ...(maximum ? { maximum } : {}) }, 'Page size');
+
+const operation = (tag, summary, scope, fields = {}) => ({
+    tags: [tag],
+    summary,
+    ...(scope ? { 'x-scope': scope } : { security: [] }),
+    ...fields,
+    responses: {
+        200: jsonResponse('OK'),
+        ...(scope ? errors(401, 403) : {}),
+        ...(fields.responses || {})
+    }
+});
+
+const buildOpenApiDocument = ({
+    version,
+    apiScopes,
+    webhookEvents,
+    jobStatuses,
+    catchUpPolicies,
+    recipientStatuses,
+    groupFields,
+    groupSortFields,
+    groupFilters,
+    messageTypes,
+    limits
+}) => {
+    const groupListParameters = [
+        param('InstanceIdPath'),
+        booleanQuery('includeParticipants', 'Include participant lists'),
+        booleanQuery('fresh', 'Bypass the group cache'),
+        query('q', { type: 'string' }, 'Case-insensitive name search'),
+        ...Object.keys(groupFilters).map(filter => booleanQuery(filter)),
+        query('sort', { type: 'string', enum: groupSortFields }),
+        query('order', { type: 'string', enum: ['asc', 'desc'] }),
+        query('fields', { type: 'string' }, `Comma separated subset of: ${groupFields.join(', ')}`),
+        limitQuery(limits.groupPageMax),
+        param('Cursor')
+    ];
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'WhatsApp API',
+            version,
+            description: 'Multi-instance WhatsApp messaging and group management API. ' +
+                'Errors are returned as { success: false, error: { code, message, details } }.'
+        },
+        security: [{ ApiKeyHeader: [] }, { BearerAuth: [] }],
+        tags: [
+            { name: 'Instances' },
+            { name: 'Webhooks' },
+            { name: 'Messages' },
+            { name: 'Schedules' },
+            { name: 'Campaigns' },
+            { name: 'Auto-replies' },
+            { name: 'Contacts' },
+            { name: 'Groups' },
+            { name: 'API keys' },
+            { name: 'System' }
+        ],
+        paths: {
+            '/instance/create': {
+                post: operation('Instances', 'Create an instance', 'instances:admin', {
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['instanceId'],
+                        properties: {
+                            instanceId: ref('InstanceId'),
+                            options: ref('InstanceOptions')
+                        }
+                    }),
+                    responses: errors(400, 409)
+                })
+            },
+            '/instances': {
+                get: operation('Instances', 'List instances', 'instances:read')
+            },
+            '/instance/{instanceId}/status': {
+                get: operation('Instances', 'Instance status', 'instances:read', {
+                    parameters: [param('InstanceIdPath')],
+                    responses: errors(404)
+                })
+            },
+            '/instance/{instanceId}/reconnect': {
+                post: operation('Instances', 'Reconnect an instance', 'instances:admin', {
+                    parameters: [param('InstanceIdPath')],
+                    responses: errors(404)
+                })
+            },
+            '/instance/{instanceId}/events': {
+                get: operation('Instances', 'Stream instance events (Server-Sent Events)', 'instances:read', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        query('types', { type: 'string' }, `Comma separated subset of: ${webhookEvents.join(', ')}`),
+                        query('lastEventId', { type: 'integer', minimum: 0 }, 'Replay events after this id (or send Last-Event-ID)')
+                    ],
+                    responses: {
+                        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+                        ...errors(400, 404)
+                    }
+                })
+            },
+            '/instance/{instanceId}/qr': {
+                get: operation('Instances', 'Current QR code', 'instances:admin', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        query('format', { type: 'string', enum: ['png', 'svg', 'dataurl'] }, 'Raw string when omitted')
+                    ],
+                    responses: errors(404, 409)
+                })
+            },
+            '/instance/{instanceId}/pairing-code': {
+                post: operation('Instances', 'Request a pairing code', 'instances:admin', {
+                    parameters: [param('InstanceIdPath')],
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['phoneNumber'],
+                        properties: {
+                            phoneNumber: ref('Recipient'),
+                            showNotification: { type: 'boolean', default: true }
+                        }
+                    }),
+                    responses: errors(400, 404, 409, 501, 503)
+                })
+            },
+            '/instance/{instanceId}/pair': {
+                get: operation('Instances', 'Browser pairing page', 'instances:admin', {
+                    parameters: [param('InstanceIdPath')],
+                    responses: {
+                        200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } },
+                        ...errors(404)
+                    }
+                })
+            },
+            '/instance/{instanceId}': {
+                delete: operation('Instances', 'Delete an instance', 'instances:admin', {
+                    parameters: [param('InstanceIdPath')],
+                    responses: errors(404)
+                })
+            },
+            '/instance/{instanceId}/webhooks': {
+                post: operation('Webhooks', 'Register a webhook', 'instances:admin', {
+                    parameters: [param('InstanceIdPath')],
+                    requestBody: jsonBody({ allOf: [ref('WebhookInput')], required: ['url'] }),
+                    responses: errors(400, 404)
+                }),
+                get: operation('Webhooks', 'List webhooks', 'instances:admin', {
+                    parameters: [param('InstanceIdPath')],
+                    responses: errors(404)
+                })
+            },
+            '/instance/{instanceId}/webhooks/deliveries': {
+                get: operation('Webhooks', 'Webhook delivery log', 'instances:admin', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        query('webhookId', { type: 'string' }),
+                        query('status', { type: 'string', enum: ['pending', 'retrying', 'delivered', 'failed'] }),
+                        query('event', { type: 'string', enum: webhookEvents }),
+                        limitQuery()
+                    ],
+                    responses: errors(400, 404)
+                })
+            },
+            '/instance/{instanceId}/webhooks/deliveries/{deliveryId}/replay': {
+                post: operation('Webhooks', 'Replay a delivery', 'instances:admin', {
+                    parameters: [param('InstanceIdPath'), path('deliveryId')],
+                    responses: errors(404, 409)
+                })
+            },
+            '/instance/{instanceId}/webhooks/{webhookId}': {
+                put: operation('Webhooks', 'Update a webhook', 'instances:admin', {
+                    parameters: [param('InstanceIdPath'), path('webhookId')],
+                    requestBody: jsonBody(ref('WebhookInput')),
+                    responses: errors(400, 404)
+                }),
+                delete: operation('Webhooks', 'Remove a webhook', 'instances:admin', {
+                    parameters: [param('InstanceIdPath'), path('webhookId')],
+                    responses: errors(404)
+                })
+            },
+            '/numbers/validate': {
+                post: operation('Messages', 'Normalize and check numbers', 'messages:send', {
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['numbers'],
+                        properties: {
+                            instanceId: ref('InstanceId'),
+                            numbers: { type: 'array', minItems: 1, maxItems: limits.numberValidateBatchMax, items: ref('Recipient') },
+                            checkRegistered: { type: 'boolean', default: false }
+                        }
+                    }),
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/message/send': {
+                post: operation('Messages', 'Send a text, poll, location or contact card message', 'messages:send', {
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['instanceId', 'to'],
+                        properties: {
+                            instanceId: ref('InstanceId'),
+                            to: ref('Recipient'),
+                            type: {
+                                type: 'string',
+                                enum: messageTypes,
+                                default: 'text',
+                                description: 'Selects the payload field: message, poll, location or contacts'
+                            },
+                            message: { type: 'string', minLength: 1 },
+                            linkPreview: { type: 'boolean', description: 'Text only; false sends links without a preview' },
+                            poll: ref('PollInput'),
+                            location: ref('LocationInput'),
+                            contacts: { type: 'array', minItems: 1, maxItems: limits.contactCardsMax, items: ref('ContactCardInput') },
+                            queue: { type: 'boolean', default: true, description: 'false sends immediately' }
+                        }
+                    }),
+                    responses: {
+                        202: jsonResponse('Queued', ref('QueuedJob')),
+                        ...errors(400, 404, 503)
+                    }
+                })
+            },
+            '/message/send-media': {
+                post: operation('Messages', 'Send media', 'messages:send', {
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': { schema: { allOf: [ref('SendMedia')], required: ['instanceId', 'to'] } },
+                            'multipart/form-data': {
+                                schema: {
+                                    allOf: [ref('SendMedia')],
+                                    required: ['instanceId', 'to'],
+                                    properties: { file: { type: 'string', format: 'binary' } }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        202: jsonResponse('Queued', ref('QueuedJob')),
+                        ...errors(400, 404, 503)
+                    }
+                })
+            },
+            '/message/job/{jobId}': {
+                get: operation('Messages', 'Queued job status', 'messages:send', {
+                    parameters: [path('jobId')],
+                    responses: errors(404)
+                })
+            },
+            '/instance/{instanceId}/queue': {
+                get: operation('Messages', 'Outbound queue', 'messages:send', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        query('status', { type: 'string', enum: jobStatuses }),
+                        limitQuery()
+                    ],
+                    responses: errors(400, 404)
+                })
+            },
+            '/instance/{instanceId}/messages': {
+                get: operation('Messages', 'Query message history', 'messages:read', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        query('chatId', { type: 'string' }),
+                        query('direction', { type: 'string', enum: ['inbound', 'outbound'] }),
+                        param('Since'),
+                        param('Until'),
+                        query('q', { type: 'string' }, 'Full-text search in message bodies'),
+                        limitQuery(),
+                        param('Cursor')
+                    ],
+                    responses: errors(400, 404)
+                })
+            },
+            '/instance/{instanceId}/polls': {
+                get: operation('Messages', 'Polls with vote counts', 'messages:read', {
+                    parameters: [param('InstanceIdPath'), query('chatId', { type: 'string' }), limitQuery()],
+                    responses: errors(400, 404)
+                })
+            },
+            '/message/{instanceId}/{messageId}/poll': {
+                get: operation('Messages', 'Vote counts and voters of a poll', 'messages:read', {
+                    parameters: [param('InstanceIdPath'), param('MessageIdPath')],
+                    responses: errors(404)
+                })
+            },
+            '/message/{instanceId}/{messageId}/status': {
+                get: operation('Messages', 'Delivery/read status of a message', 'messages:read', {
+                    parameters: [param('InstanceIdPath'), param('MessageIdPath')],
+                    responses: errors(404)
+                })
+            },
+            '/message/{instanceId}/{messageId}': {
+                delete: operation('Messages', 'Delete a message', 'messages:send', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        param('MessageIdPath'),
+                        booleanQuery('forEveryone', 'Revoke for everyone when WhatsApp still allows it')
+                    ],
+                    responses: errors(400, 404, 409, 503)
+                })
+            },
+            '/message/{instanceId}/{messageId}/reply': {
+                post: operation('Messages', 'Reply to (quote) a message', 'messages:send', {
+                    parameters: [param('InstanceIdPath'), param('MessageIdPath')],
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['message'],
+                        properties: { message: { type: 'string', minLength: 1 } }
+                    }),
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/message/{instanceId}/{messageId}/react': {
+                post: operation('Messages', 'React to a message', 'messages:send', {
+                    parameters: [param('InstanceIdPath'), param('MessageIdPath')],
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['reaction'],
+                        properties: { reaction: { type: 'string', maxLength: 16, description: 'Emoji; an empty string removes the reaction' } }
+                    }),
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/message/{instanceId}/{messageId}/edit': {
+                post: operation('Messages', 'Edit a sent message', 'messages:send', {
+                    parameters: [param('InstanceIdPath'), param('MessageIdPath')],
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['message'],
+                        properties: { message: { type: 'string', minLength: 1 } }
+                    }),
+                    responses: errors(400, 404, 409, 501, 503)
+                })
+            },
+            '/message/{instanceId}/{messageId}/forward': {
+                post: operation('Messages', 'Forward a message to other chats', 'messages:send', {
+                    parameters: [param('InstanceIdPath'), param('MessageIdPath')],
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['to'],
+                        properties: {
+                            to: { type: 'array', minItems: 1, maxItems: limits.messageForwardMax, items: ref('Recipient') }
+                        }
+                    }),
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/message/{instanceId}/{messageId}/{action}': {
+                post: operation('Messages', 'Star, unstar, pin or unpin a message', 'messages:send', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        param('MessageIdPath'),
+                        path('action', { type: 'string', enum: ['star', 'unstar', 'pin', 'unpin'] })
+                    ],
+                    requestBody: jsonBody({
+                        type: 'object',
+                        properties: {
+                            duration: {
+                                type: 'integer',
+                                enum: limits.messagePinDurations,
+                                default: limits.messagePinDurations[1],
+                                description: 'Pin duration in seconds (24 hours, 7 days or 30 days)'
+                            }
+                        }
+                    }, false),
+                    responses: errors(400, 404, 409, 501, 503)
+                })
+            },
+            '/message/{instanceId}/status/batch': {
+                post: operation('Messages', 'Delivery/read status of many messages', 'messages:read', {
+                    parameters: [param('InstanceIdPath')],
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['messageIds'],
+                        properties: {
+                            messageIds: {
+                                type: 'array',
+                                minItems: 1,
+                                maxItems: limits.messageStatusBatchMax,
+                                items: { type: 'string', minLength: 1 }
+                            }
+                        }
+                    }),
+                    responses: errors(400, 404)
+                })
+            },
+            '/instance/{instanceId}/schedules': {
+                post: operation('Schedules', 'Create a schedule', 'messages:send', {
+                    parameters: [param('InstanceIdPath')],
+                    requestBody: jsonBody({ allOf: [ref('ScheduleInput')], required: ['to'] }),
+                    responses: errors(400, 404)
+                }),
+                get: operation('Schedules', 'List schedules', 'messages:send', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        query('status', { type: 'string', enum: ['active', 'paused', 'completed', 'cancelled'] })
+                    ],
+                    responses: errors(400, 404)
+                })
+            },
+            '/instance/{instanceId}/schedules/{scheduleId}': {
+                get: operation('Schedules', 'Get a schedule', 'messages:send', {
+                    parameters: [param('InstanceIdPath'), path('scheduleId')],
+                    responses: errors(404)
+                }),
+                put: operation('Schedules', 'Update a schedule', 'messages:send', {
+                    parameters: [param('InstanceIdPath'), path('scheduleId')],
+                    requestBody: jsonBody(ref('ScheduleInput')),
+                    responses: errors(400, 404)
+                }),
+                delete: operation('Schedules', 'Cancel a schedule', 'messages:send', {
+                    parameters: [param('InstanceIdPath'), path('scheduleId')],
+                    responses: errors(400, 404)
+                })
+            },
+            '/instance/{instanceId}/schedules/{scheduleId}/{action}': {
+                post: operation('Schedules', 'Pause, resume or cancel a schedule', 'messages:send', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        path('scheduleId'),
+                        path('action', { type: 'string', enum: ['pause', 'resume', 'cancel'] })
+                    ],
+                    responses: errors(400, 404)
+                })
+            },
+            '/instance/{instanceId}/campaigns': {
+                post: operation('Campaigns', 'Create a broadcast campaign', 'messages:send', {
+                    parameters: [param('InstanceIdPath')],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': { schema: { allOf: [ref('CampaignInput')], required: ['template'] } },
+                            'multipart/form-data': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['template'],
+                                    properties: {
+                                        name: { type: 'string' },
+                                        template: { type: 'string', minLength: 1 },
+                                        csv: { type: 'string' },
+                                        file: { type: 'string', format: 'binary', description: 'CSV with a "to", "phone" or "number" column' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: errors(400, 404)
+                }),
+                get: operation('Campaigns', 'List campaigns', 'messages:send', {
+                    parameters: [param('InstanceIdPath')],
+                    responses: errors(404)
+                })
+            },
+            '/instance/{instanceId}/campaigns/{campaignId}': {
+                get: operation('Campaigns', 'Campaign progress', 'messages:send', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        path('campaignId'),
+                        query('status', { type: 'string', enum: recipientStatuses }, 'Only recipients with this status')
+                    ],
+                    responses: errors(400, 404)
+                })
+            },
+            '/instance/{instanceId}/campaigns/{campaignId}/{action}': {
+                post: operation('Campaigns', 'Pause, resume or cancel a campaign', 'messages:send', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        path('campaignId'),
+                        path('action', { type: 'string', enum: ['pause', 'resume', 'cancel'] })
+                    ],
+                    responses: errors(400, 404)
+                })
+            },
+            '/instance/{instanceId}/campaigns/{campaignId}/report': {
+                get: operation('Campaigns', 'Export campaign results', 'messages:send', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        path('campaignId'),
+                        query('format', { type: 'string', enum: ['json', 'csv'], default: 'json' })
+                    ],
+                    responses: errors(400, 404)
+                })
+            },
+            '/instance/{instanceId}/auto-replies': {
+                post: operation('Auto-replies', 'Create an auto-reply rule', 'messages:send', {
+                    parameters: [param('InstanceIdPath')],
+                    requestBody: jsonBody({ allOf: [ref('AutoReplyRuleInput')], required: ['reply'] }),
+                    responses: errors(400, 404)
+                }),
+                get: operation('Auto-replies', 'List auto-reply rules in evaluation order', 'messages:send', {
+                    parameters: [param('InstanceIdPath')],
+                    responses: errors(404)
+                })
+            },
+            '/instance/{instanceId}/auto-replies/test': {
+                post: operation('Auto-replies', 'Check a sample message against the rules without sending', 'messages:send', {
+                    parameters: [param('InstanceIdPath')],
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['body', 'chatId'],
+                        properties: {
+                            body: { type: 'string' },
+                            chatId: { allOf: [ref('Recipient')], description: 'Chat the message arrives in; a group id tests group rules' },
+                            from: { allOf: [ref('Recipient')], description: 'Sender inside a group' },
+                            name: { type: 'string', description: 'Sender display name for {{name}}' },
+                            at: { type: 'string', format: 'date-time', description: 'Evaluate business hours at this time' }
+                        }
+                    }),
+                    responses: errors(400, 404)
+                })
+            },
+            '/instance/{instanceId}/auto-replies/{ruleId}': {
+                get: operation('Auto-replies', 'Get an auto-reply rule', 'messages:send', {
+                    parameters: [param('InstanceIdPath'), path('ruleId')],
+                    responses: errors(404)
+                }),
+                put: operation('Auto-replies', 'Update an auto-reply rule', 'messages:send', {
+                    parameters: [param('InstanceIdPath'), path('ruleId')],
+                    requestBody: jsonBody(ref('AutoReplyRuleInput')),
+                    responses: errors(400, 404)
+                }),
+                delete: operation('Auto-replies', 'Remove an auto-reply rule', 'messages:send', {
+                    parameters: [param('InstanceIdPath'), path('ruleId')],
+                    responses: errors(404)
+                })
+            },
+            '/instance/{instanceId}/contacts': {
+                get: operation('Contacts', 'List contacts', 'contacts:read', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        query('q', { type: 'string' }, 'Search in name, pushname and number'),
+                        booleanQuery('myContacts', 'Only contacts in (or not in) the address book'),
+                        booleanQuery('business', 'Only business (or non-business) accounts'),
+                        booleanQuery('blocked', 'Only blocked (or unblocked) contacts'),
+                        limitQuery(),
+                        param('Cursor')
+                    ],
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/instance/{instanceId}/contacts/blocked': {
+                get: operation('Contacts', 'Blocked contacts', 'contacts:read', {
+                    parameters: [param('InstanceIdPath')],
+                    responses: errors(404, 503)
+                })
+            },
+            '/instance/{instanceId}/contacts/{contactId}': {
+                get: operation('Contacts', 'Contact details with about text and profile picture', 'contacts:read', {
+                    parameters: [param('InstanceIdPath'), param('ContactIdPath')],
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/instance/{instanceId}/contacts/{contactId}/{action}': {
+                post: operation('Contacts', 'Block or unblock a contact', 'contacts:write', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        param('ContactIdPath'),
+                        path('action', { type: 'string', enum: ['block', 'unblock'] })
+                    ],
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/instance/{instanceId}/profile': {
+                get: operation('Contacts', 'Own profile', 'instances:read', {
+                    parameters: [param('InstanceIdPath')],
+                    responses: errors(404, 503)
+                }),
+                put: operation('Contacts', 'Update own name and about text', 'instances:admin', {
+                    parameters: [param('InstanceIdPath')],
+                    requestBody: jsonBody({
+                        type: 'object',
+                        minProperties: 1,
+                        properties: {
+                            name: { type: 'string', minLength: 1, maxLength: 25 },
+                            about: { type: 'string', maxLength: 139 }
+                        }
+                    }),
+                    responses: errors(400, 404, 409, 503)
+                })
+            },
+            '/instance/{instanceId}/profile/picture': {
+                put: operation('Contacts', 'Set own profile picture', 'instances:admin', {
+                    parameters: [param('InstanceIdPath')],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': { schema: ref('MediaSource') },
+                            'multipart/form-data': {
+                                schema: {
+                                    allOf: [ref('MediaSource')],
+                                    properties: { file: { type: 'string', format: 'binary' } }
+                                }
+                            }
+                        }
+                    },
+                    responses: errors(400, 404, 409, 503)
+                }),
+                delete: operation('Contacts', 'Remove own profile picture', 'instances:admin', {
+                    parameters: [param('InstanceIdPath')],
+                    responses: errors(404, 409, 503)
+                })
+            },
+            '/group/create': {
+                post: operation('Groups', 'Create a group', 'groups:write', {
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['instanceId', 'groupName', 'participants'],
+                        properties: {
+                            instanceId: ref('InstanceId'),
+                            groupName: { type: 'string', minLength: 1 },
+                            participants: ref('Participants')
+                        }
+                    }),
+                    responses: errors(400, 404, 503)
+                })
+            },
+            ...Object.fromEntries(['add', 'promote', 'demote', 'remove'].map(action => [
+                `/group/{groupId}/participants/${action}`,
+                {
+                    post: operation('Groups', `${action[0].toUpperCase()}${action.slice(1)} participants`, 'groups:write', {
+                        parameters: [param('GroupIdPath')],
+                        requestBody: jsonBody({
+                            type: 'object',
+                            required: ['instanceId', 'participants'],
+                            properties: {
+                                instanceId: ref('InstanceId'),
+                                participants: ref('Participants'),
+                                ...(action === 'add' ? { asAdmin: { type: 'boolean', default: false } } : {})
+                            }
+                        }),
+                        responses: errors(400, 404, 503)
+                    })
+                }
+            ])),
+            '/group/{groupId}/leave': {
+                post: operation('Groups', 'Leave a group', 'groups:write', {
+                    parameters: [param('GroupIdPath')],
+                    requestBody: jsonBody(ref('InstanceBody')),
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/group/{groupId}/membership-requests': {
+                get: operation('Groups', 'Pending membership requests', 'groups:read', {
+                    parameters: [param('GroupIdPath'), param('InstanceIdQuery')],
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/group/{groupId}/membership-requests/{action}': {
+                post: operation('Groups', 'Approve or reject membership requests', 'groups:write', {
+                    parameters: [param('GroupIdPath'), path('action', { type: 'string', enum: ['approve', 'reject'] })],
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['instanceId'],
+                        properties: {
+                            instanceId: ref('InstanceId'),
+                            requesterIds: { allOf: [ref('Participants')], description: 'All pending requests when omitted' }
+                        }
+                    }),
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/group/{groupId}/settings': {
+                put: operation('Groups', 'Update group settings', 'groups:write', {
+                    parameters: [param('GroupIdPath')],
+                    requestBody: jsonBody({
+                        allOf: [ref('GroupSettings')],
+                        required: ['instanceId'],
+                        properties: {
+                            instanceId: ref('InstanceId'),
+                            name: { type: 'string', minLength: 1, description: 'Alias of subject' }
+                        }
+                    }),
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/group/{groupId}/state': {
+                put: operation('Groups', 'Reconcile a group with a desired state', 'groups:write', {
+                    parameters: [param('GroupIdPath')],
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['instanceId'],
+                        properties: {
+                            instanceId: ref('InstanceId'),
+                            dryRun: { type: 'boolean', default: false },
+                            subject: { type: 'string', minLength: 1 },
+                            description: { type: 'string' },
+                            settings: {
+                                type: 'object',
+                                properties: {
+                                    messagesAdminsOnly: { type: 'boolean' },
+                                    editGroupInfoAdminsOnly: { type: 'boolean' }
+                                }
+                            },
+                            members: ref('Participants'),
+                            admins: ref('Participants')
+                        }
+                    }),
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/group/{groupId}/invite-link': {
+                get: operation('Groups', 'Get (or create) the invite link', 'groups:write', {
+                    parameters: [param('GroupIdPath'), param('InstanceIdQuery'), booleanQuery('forceCreate', 'Revoke and create a new link')],
+                    responses: errors(400, 404, 503)
+                }),
+                post: operation('Groups', 'Get (or create) the invite link', 'groups:write', {
+                    parameters: [param('GroupIdPath')],
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['instanceId'],
+                        properties: {
+                            instanceId: ref('InstanceId'),
+                            forceCreate: { type: 'boolean', default: false }
+                        }
+                    }),
+                    responses: errors(400, 404, 503)
+                }),
+                delete: operation('Groups', 'Revoke the invite link', 'groups:write', {
+                    parameters: [param('GroupIdPath')],
+                    requestBody: jsonBody(ref('InstanceBody')),
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/groups/invite-links/batch': {
+                post: operation('Groups', 'Invite links of many groups', 'groups:write', {
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['instanceId', 'groupIds'],
+                        properties: {
+                            instanceId: ref('InstanceId'),
+                            groupIds: { type: 'array', items: { type: 'string', minLength: 1 } },
+                            forceCreate: { type: 'boolean', default: false }
+                        }
+                    }),
+                    responses: errors(400, 404)
+                })
+            },
+            '/groups/{instanceId}': {
+                get: operation('Groups', 'List groups', 'groups:read', {
+                    parameters: groupListParameters,
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/groups/{instanceId}/summary': {
+                get: operation('Groups', 'List groups without participants by default', 'groups:read', {
+                    parameters: groupListParameters,
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/group/{instanceId}/{groupId}': {
+                get: operation('Groups', 'Get a group', 'groups:read', {
+                    parameters: [param('InstanceIdPath'), param('GroupIdPath'), booleanQuery('fresh', 'Bypass the group cache')],
+                    responses: errors(400, 404, 503)
+                })
+            },
+            '/group/{instanceId}/{groupId}/audit': {
+                get: operation('Groups', 'Group audit trail', 'groups:read', {
+                    parameters: [
+                        param('InstanceIdPath'),
+                        param('GroupIdPath'),
+                        param('Since'),
+                        param('Until'),
+                        query('action', { type: 'string' }),
+                        query('source', { type: 'string', enum: ['api', 'whatsapp'] }),
+                        limitQuery(),
+                        param('Cursor')
+                    ],
+                    responses: errors(400, 404)
+                })
+            },
+            '/instance/{instanceId}/group-cache': {
+                get: operation('Groups', 'Group cache statistics', 'groups:read', {
+                    parameters: [param('InstanceIdPath')],
+                    responses: errors(404)
+                })
+            },
+            '/auth/keys': {
+                post: operation('API keys', 'Create an API key', 'keys:admin', {
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['instanceIds', 'scopes'],
+                        properties: {
+                            name: { type: 'string' },
+                            instanceIds: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 }, description: '["*"] for all instances' },
+                            scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: ['*', ...apiScopes] } }
+                        }
+                    }),
+                    responses: errors(400)
+                }),
+                get: operation('API keys', 'List API keys', 'keys:admin')
+            },
+            '/auth/keys/{keyId}/rotate': {
+                post: operation('API keys', 'Rotate an API key', 'keys:admin', {
+                    parameters: [path('keyId')],
+                    responses: errors(404)
+                })
+            },
+            '/auth/keys/{keyId}': {
+                delete: operation('API keys', 'Revoke an API key', 'keys:admin', {
+                    parameters: [path('keyId')],
+                    responses: errors(404)
+                })
+            },
+            '/health': {
+                get: operation('System', 'Health check')
+            },
+            '/metrics': {
+                get: operation('System', 'Prometheus metrics', 'metrics:read', {
+                    responses: {
+                        200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } }
+                    }
+                })
+            }
+        },
+        components: {
+            securitySchemes: {
+                ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                BearerAuth: { type: 'http', scheme: 'bearer' }
+            },
+            parameters: {
+                InstanceIdPath: path('instanceId', ref('InstanceId')),
+                InstanceIdQuery: query('instanceId', ref('InstanceId'), null, true),
+                GroupIdPath: path('groupId', ref('GroupId')),
+                ContactIdPath: path('contactId', { type: 'string', minLength: 1 }, 'Phone number or chat id'),
+                MessageIdPath: path('messageId', { type: 'string', minLength: 1 }, 'messageId returned when the message was sent'),
+                Cursor: query('cursor', { type: 'string' }, 'nextCursor of the previous page'),
+                Since: query('since', { type: 'string', format: 'date-time' }),
+                Until: query('until', { type: 'string', format: 'date-time' })
+            },
+            responses: {
+                400: jsonResponse('Invalid request (VALIDATION_ERROR, INVALID_NUMBER, ...)', ref('Error')),
+                401: jsonResponse('Missing or invalid API key', ref('Error')),
+                403: jsonResponse('Instance not allowed or scope missing', ref('Error')),
+                404: jsonResponse('Instance or resource not found', ref('Error')),
+                409: jsonResponse('Conflicts with the current state', ref('Error')),
+                501: jsonResponse('Not supported by this WhatsApp client', ref('Error')),
+                503: jsonResponse('Instance is not ready (INSTANCE_NOT_READY)', ref('Error'))
+            },
+            schemas: {
+                Success: {
+                    type: 'object',
+                    properties: { success: { type: 'boolean', enum: [true] } }
+                },
+                Error: {
+                    type: 'object',
+                    required: ['success', 'error'],
+                    properties: {
+                        success: { type: 'boolean', enum: [false] },
+                        error: {
+                            type: 'object',
+                            required: ['code', 'message'],
+                            properties: {
+                                code: { type: 'string', example: 'VALIDATION_ERROR' },
+                                message: { type: 'string' },
+                                details: { nullable: true }
+                            }
+                        }
+                    }
+                },
+                InstanceId: { type: 'string', minLength: 1 },
+                GroupId: { type: 'string', pattern: '@g\\.us$', example: '120363012345678901@g.us' },
+                Recipient: {
+                    anyOf: [{ type: 'string', minLength: 1 }, { type: 'integer' }],
+                    description: 'Phone number (with or without +, local numbers get the default country code) or chat id',
+                    example: '+14155550123'
+                },
+                Participants: { type: 'array', items: ref('Recipient') },
+                InstanceBody: {
+                    type: 'object',
+                    required: ['instanceId'],
+                    properties: { instanceId: ref('InstanceId') }
+                },
+                InstanceOptions: {
+                    type: 'object',
+                    properties: {
+                        userAgent: { type: 'string' },
+                        headless: { type: 'boolean' },
+                        defaultCountryCode: {
+                            anyOf: [{ type: 'string', pattern: '^\\+?[1-9]\\d{0,3}$' }, { type: 'integer', minimum: 1, maximum: 9999 }]
+                        },
+                        verifyRecipients: { type: 'boolean' },
+                        reconnect: {
+                            type: 'object',
+                            properties: {
+                                enabled: { type: 'boolean' },
+                                maxAttempts: { type: 'integer', minimum: 0 },
+                                baseDelayMs: { type: 'integer', minimum: 0 },
+                                maxDelayMs: { type: 'integer', minimum: 0 }
+                            }
+                        },
+                        queue: {
+                            type: 'object',
+                            properties: {
+                                messagesPerMinute: { type: 'integer', minimum: 1 },
+                                jitterMs: { type: 'integer', minimum: 0 },
+                                recipientCooldownMs: { type: 'integer', minimum: 0 },
+                                maxAttempts: { type: 'integer', minimum: 1 },
+                                retryBaseMs: { type: 'integer', minimum: 0 }
+                            }
+                        }
+                    }
+                },
+                WebhookInput: {
+                    type: 'object',
+                    properties: {
+                        url: { type: 'string', format: 'uri' },
+                        events: { type: 'array', items: { type: 'string', enum: ['*', ...webhookEvents] } },
+                        secret: { type: 'string', minLength: 1 },
+                        enabled: { type: 'boolean' }
+                    }
+                },
+                MediaSource: {
+                    type: 'object',
+                    properties: {
+                        data: { type: 'string', description: 'Base64 content' },
+                        mimetype: { type: 'string' },
+                        filename: { type: 'string' },
+                        filePath: { type: 'string', description: 'Path under MEDIA_LOCAL_DIR' }
+                    }
+                },
+                SendMedia: {
+                    allOf: [ref('MediaSource')],
+                    type: 'object',
+                    properties: {
+                        instanceId: ref('InstanceId'),
+                        to: ref('Recipient'),
+                        caption: { type: 'string' },
+                        asDocument: { type: 'boolean' },
+                        asVoice: { type: 'boolean' },
+                        asSticker: { type: 'boolean' },
+                        queue: { type: 'boolean', default: true }
+                    }
+                },
+                PollInput: {
+                    type: 'object',
+                    required: ['question', 'options'],
+                    properties: {
+                        question: { type: 'string', minLength: 1 },
+                        options: {
+                            type: 'array',
+                            minItems: 2,
+                            maxItems: limits.pollMaxOptions,
+                            uniqueItems: true,
+                            items: { type: 'string', minLength: 1 }
+                        },
+                        allowMultipleAnswers: { type: 'boolean', default: false }
+                    }
+                },
+                LocationInput: {
+                    type: 'object',
+                    required: ['latitude', 'longitude'],
+                    properties: {
+                        latitude: { type: 'number', minimum: -90, maximum: 90 },
+                        longitude: { type: 'number', minimum: -180, maximum: 180 },
+                        name: { type: 'string' },
+                        address: { type: 'string' },
+                        url: { type: 'string', format: 'uri' }
+                    }
+                },
+                ContactCardInput: {
+                    type: 'object',
+                    required: ['name', 'number'],
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        number: ref('Recipient'),
+                        organization: { type: 'string' },
+                        email: { type: 'string', format: 'email' }
+                    }
+                },
+                QueuedJob: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        jobId: { type: 'string' },
+                        status: { type: 'string', enum: jobStatuses },
+                        to: { type: 'string' }
+                    }
+                },
+                ScheduleInput: {
+                    type: 'object',
+                    properties: {
+                        to: ref('Recipient'),
+                        message: { type: 'string', minLength: 1 },
+                        media: {
+                            allOf: [ref('MediaSource')],
+                            type: 'object',
+                            properties: {
+                                caption: { type: 'string' },
+                                asDocument: { type: 'boolean' },
+                                asVoice: { type: 'boolean' },
+                                asSticker: { type: 'boolean' }
+                            }
+                        },
+                        sendAt: { type: 'string', format: 'date-time' },
+                        cron: { type: 'string', minLength: 1 },
+                        timezone: { type: 'string', example: 'Europe/Berlin' },
+                        catchUp: { type: 'string', enum: catchUpPolicies }
+                    }
+                },
+                CampaignInput: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        template: { type: 'string', minLength: 1, description: 'Text with {{variable}} placeholders' },
+                        recipients: {
+                            type: 'array',
+                            minItems: 1,
+                            maxItems: limits.broadcastMaxRecipients,
+                            items: {
+                                anyOf: [
+                                    ref('Recipient'),
+                                    {
+                                        type: 'object',
+                                        properties: {
+                                            to: ref('Recipient'),
+                                            variables: { type: 'object' }
+                                        }
+                                    }
+                                ]
+                            }
+                        },
+                        csv: { type: 'string', description: 'CSV text instead of recipients' }
+                    }
+                },
+                AutoReplyRuleInput: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        enabled: { type: 'boolean', default: true },
+                        priority: { type: 'integer', default: 0, description: 'Higher priorities are checked first' },
+                        keywords: {
+                            type: 'array',
+                            items: { type: 'string', minLength: 1 },
+                            description: 'The whole message must equal one of them (trimmed)'
+                        },
+                        pattern: { type: 'string', maxLength: 500, nullable: true, description: 'Regular expression the message must match' },
+                        caseSensitive: { type: 'boolean', default: false },
+                        chatTypes: {
+                            type: 'array',
+                            minItems: 1,
+                            items: { type: 'string', enum: ['direct', 'group'] },
+                            description: 'Defaults to direct, or group when groupIds is set'
+                        },
+                        groupIds: { type: 'array', items: ref('GroupId'), description: 'Only these groups' },
+                        reply: {
+                            type: 'object',
+                            required: ['type'],
+                            properties: {
+                                type: { type: 'string', enum: ['text', 'media', 'template'] },
+                                message: { type: 'string', minLength: 1 },
+                                template: { type: 'string', minLength: 1, example: 'Hi {{name}}, we open at 9:00' },
+                                defaults: { type: 'object', description: 'Fallback values for template placeholders' },
+                                media: {
+                                    allOf: [ref('MediaSource')],
+                                    type: 'object',
+                                    properties: {
+                                        caption: { type: 'string' },
+                                        asDocument: { type: 'boolean' },
+                                        asVoice: { type: 'boolean' },
+                                        asSticker: { type: 'boolean' }
+                                    }
+                                }
+                            }
+                        },
+                        businessHours: {
+                            type: 'object',
+                            nullable: true,
+                            required: ['start', 'end'],
+                            properties: {
+                                timezone: { type: 'string', default: 'UTC' },
+                                days: {
+                                    type: 'array',
+                                    minItems: 1,
+                                    items: { type: 'integer', minimum: 0, maximum: 6 },
+                                    default: [1, 2, 3, 4, 5],
+                                    description: '0 is Sunday'
+                                },
+                                start: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', example: '09:00' },
+                                end: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', example: '18:00' },
+                                when: { type: 'string', enum: ['inside', 'outside'], default: 'inside', description: 'Reply inside or outside the window' }
+                            }
+                        },
+                        cooldownSeconds: { type: 'integer', minimum: 0, description: 'Per chat; defaults to AUTO_REPLY_COOLDOWN_SECONDS' }
+                    }
+                },
+                GroupSettings: {
+                    type: 'object',
+                    properties: {
+                        subject: { type: 'string', minLength: 1 },
+                        description: { type: 'string' },
+                        messagesAdminsOnly: { type: 'boolean' },
+                        editGroupInfoAdminsOnly: { type: 'boolean' }
+                    }
+                }
+            }
+        }
+    };
+};
+
+module.exports = { buildOpenApiDocument };
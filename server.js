@@ -1,20 +1,225 @@
 const express = require('express');
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia, Poll, Location } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
+const QRCode = require('qrcode');
 const cors = require('cors');
+const multer = require('multer');
+const cronParser = require('cron-parser');
+const promClient = require('prom-client');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const vm = require('vm');
+const { AsyncLocalStorage } = require('async_hooks');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const swaggerUi = require('swagger-ui-express');
+const { buildOpenApiDocument } = require('./openapi');
+const { version } = require('./package.json');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Logging: JSON lines in LOG_DIR, rotated daily and by size; the console gets readable text unless LOG_CONSOLE_FORMAT=json
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_DIR = process.env.LOG_DIR || './logs';
+const LOG_MAX_SIZE_MB = parseInt(process.env.LOG_MAX_SIZE_MB, 10) || 20;
+const LOG_RETENTION_DAYS = parseInt(process.env.LOG_RETENTION_DAYS, 10) || 14;
+const LOG_MAX_FILES = parseInt(process.env.LOG_MAX_FILES, 10) || 100;
+const LOG_CONSOLE_FORMAT = process.env.LOG_CONSOLE_FORMAT === 'json' ? 'json' : 'text';
+// YYYY-MM-DD.log, then YYYY-MM-DD.1.log, YYYY-MM-DD.2.log... once a day's file reaches LOG_MAX_SIZE_MB
+const LOG_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.log$/;
+
+class LogWriter {
+    constructor(dir) {
+        this.dir = dir;
+        this.stream = null;
+        this.file = null;
+        this.day = null;
+        this.index = 0;
+        this.size = 0;
+    }
+
+    fileFor(day, index) {
+        return path.join(this.dir, index === 0 ? `${day}.log` : `${day}.${index}.log`);
+    }
+
+    // Highest rotation index already on disk for a day, so a restart appends to the newest file
+    latestIndex(day) {
+        return fs.readdirSync(this.dir)
+            .map(name => name.match(LOG_FILE_PATTERN))
+            .filter(match => match && match[1] === day)
+            .reduce((max, match) => Math.max(max, parseInt(match[2] || '0', 10)), 0);
+    }
+
+    rotateIfNeeded() {
+        const day = new Date().toISOString().split('T')[0];
+        const maxBytes = LOG_MAX_SIZE_MB * 1024 * 1024;
+        if (this.stream && day === this.day && this.size < maxBytes) {
+            return;
+        }
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        if (this.stream) {
+            this.stream.end();
+        }
+
+        if (day !== this.day) {
+            this.day = day;
+            this.index = this.latestIndex(day);
+        } else {
+            this.index++;
+        }
+
+        while (fs.existsSync(this.fileFor(day, this.index)) && fs.statSync(this.fileFor(day, this.index)).size >= maxBytes) {
+            this.index++;
+        }
+
+        this.file = this.fileFor(day, this.index);
+        this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+        this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+        this.stream.on('error', (error) => console.error(`Log file error: ${error.message}`));
+        this.cleanup();
+    }
+
+    write(line) {
+        try {
+            this.rotateIfNeeded();
+            this.stream.write(line + '\n');
+            this.size += Buffer.byteLength(line) + 1;
+        } catch (error) {
+            console.error(`Failed to write log file: ${error.message}`);
+        }
+    }
+
+    // Delete files older than LOG_RETENTION_DAYS and anything beyond the newest LOG_MAX_FILES
+    async cleanup() {
+        try {
+            const cutoff = Date.now() - LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+            const names = (await fs.promises.readdir(this.dir)).filter(name => LOG_FILE_PATTERN.test(name));
+            const files = await Promise.all(names.map(async name => ({
+                name,
+                mtime: (await fs.promises.stat(path.join(this.dir, name))).mtimeMs
+            })));
+
+            files.sort((a, b) => b.mtime - a.mtime);
+            const expired = files.filter((file, index) => path.join(this.dir, file.name) !== this.file
+                && (file.mtime < cutoff || index >= LOG_MAX_FILES));
+
+            await Promise.all(expired.map(file => fs.promises.rm(path.join(this.dir, file.name), { force: true })));
+        } catch (error) {
+            console.error(`Log cleanup failed: ${error.message}`);
+        }
+    }
+
+    // Flush buffered lines, used on shutdown
+    close() {
+        return new Promise(resolve => {
+            if (!this.stream) {
+                return resolve();
+            }
+            this.stream.end(resolve);
+            this.stream = null;
+        });
+    }
+}
+
+const logWriter = new LogWriter(LOG_DIR);
+
+// Request-scoped context (request id, and the request itself for the audit actor)
+const requestContext = new AsyncLocalStorage();
+
+// fields are extra structured properties; lines logged while handling a request get its id and route
+const log = (level, message, instanceId = null, fields = {}) => {
+    if ((LOG_LEVELS[level] || LOG_LEVELS.info) < LOG_LEVELS[LOG_LEVEL]) {
+        return;
+    }
+
+    const context = requestContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        instanceId: instanceId || undefined,
+        requestId: context?.requestId,
+        route: context?.req.route ? `${context.req.method} ${context.req.baseUrl}${context.req.route.path}` : undefined,
+        ...fields
+    };
+    const line = JSON.stringify(entry);
+
+    if (LOG_CONSOLE_FORMAT === 'json') {
+        console.log(line);
+    } else {
+        console.log(`[${entry.time}] [${level.toUpperCase()}] ${instanceId ? `[${instanceId}] ` : ''}${entry.requestId ? `(${entry.requestId}) ` : ''}${message}`);
+    }
+
+    logWriter.write(line);
+};
+
+// Media uploads can be much larger than regular JSON bodies
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '10mb';
+const MEDIA_MAX_MB = parseInt(process.env.MEDIA_MAX_MB, 10) || 50;
+const MEDIA_LOCAL_DIR = path.resolve(process.env.MEDIA_LOCAL_DIR || './media');
+const MEDIA_ROUTES = ['/message/send-media'];
+
+// Comma separated list of allowed origins, "*" for any; cross-origin requests are refused when unset
+const CORS_ORIGINS = process.env.CORS_ORIGINS === '*'
+    ? '*'
+    : (process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) : false);
+
 // Middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(cors());
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Reuse a well-formed incoming X-Request-Id or make one, echo it back and log the request once it finishes
+app.use((req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    res.setHeader('X-Request-Id', requestId);
+    res.on('finish', () => {
+        const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        metrics.httpRequestDuration.observe({
+            method: req.method,
+            route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+            status: res.statusCode
+        }, latencyMs / 1000);
+        log(res.statusCode >= 500 ? 'error' : 'info', `${req.method} ${req.originalUrl.split('?')[0]} ${res.statusCode}`, null, {
+            requestId,
+            route: req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : undefined,
+            method: req.method,
+            status: res.statusCode,
+            latencyMs: Math.round(latencyMs * 10) / 10,
+            instanceId: req.params?.instanceId || req.body?.instanceId || req.query?.instanceId || undefined,
+            keyId: req.apiKey?.id
+        });
+    });
+
+    requestContext.run({ req, requestId }, next);
+});
+
+const jsonParser = express.json({ limit: JSON_BODY_LIMIT });
+app.use((req, res, next) => {
+    // Media routes use their own body parsers with a larger limit
+    if (MEDIA_ROUTES.includes(req.path)) {
+        return next();
+    }
+    jsonParser(req, res, next);
+});
+app.use(cors({ origin: CORS_ORIGINS }));
+
+const mediaJsonParser = express.json({ limit: `${MEDIA_MAX_MB}mb` });
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MEDIA_MAX_MB * 1024 * 1024 }
+});
 
 // Create necessary directories
 const createDirectories = () => {
-    const dirs = ['./auth', './logs'];
+    const dirs = ['./auth', LOG_DIR, './data', './data/webhooks', './data/queues', './data/schedules', './data/campaigns', './data/messages', './data/audit', './data/auto-replies', './data/polls', './data/media'];
     dirs.forEach(dir => {
         if (!fs.existsSync(dir)) {
             fs.mkdirSync(dir, { recursive: true });
@@ -27,996 +232,6845 @@ createDirectories();
 // WhatsApp client instances
 const clients = new Map();
 
-// Enhanced logging
-const log = (level, message, instanceId = null) => {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] [${level.toUpperCase()}] ${instanceId ? `[${instanceId}] ` : ''}${message}`;
-    console.log(logMessage);
-    
-    // Write to log file
-    const logDir = './logs';
-    const logFile = path.join(logDir, `${new Date().toISOString().split('T')[0]}.log`);
-    fs.appendFileSync(logFile, logMessage + '\n');
+// Instances created through the API, persisted so they can be restored on boot
+const REGISTRY_FILE = './data/instances.json';
+
+// JSON file persistence (write to a temp file first so a crash never leaves half a file)
+const readJSON = (file, fallback) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return fallback;
+    }
 };
 
-class WhatsAppAPI {
-    constructor(instanceId) {
-        this.instanceId = instanceId;
-        this.client = new Client({
-            authStrategy: new LocalAuth({
-                clientId: instanceId,
-                dataPath: `./auth/${instanceId}`
-            }),
-            puppeteer: {
-                headless: true,
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-accelerated-2d-canvas',
-                    '--no-first-run',
-                    '--no-zygote',
-                    '--single-process',
-                    '--disable-gpu'
-                ]
-            }
-        });
+const writeJSON = (file, data) => {
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, file);
+};
 
-        this.isReady = false;
-        this.qrCode = null;
-        this.setupEventListeners();
+// API errors carry an HTTP status and a stable code; responses look like
+// { success: false, error: { code, message, details } }
+class ApiError extends Error {
+    constructor(status, code, message, details = null) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
     }
+}
 
-    setupEventListeners() {
-        this.client.on('qr', (qr) => {
-            log('info', 'QR Code generated', this.instanceId);
-            qrcode.generate(qr, { small: true });
-            this.qrCode = qr;
-        });
+const DEFAULT_ERROR_CODES = {
+    400: 'VALIDATION_ERROR',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    500: 'INTERNAL_ERROR',
+    503: 'INSTANCE_NOT_READY'
+};
 
-        this.client.on('ready', () => {
-            log('info', 'Client is ready!', this.instanceId);
-            this.isReady = true;
-            this.qrCode = null;
-        });
+const notReadyError = () => new ApiError(503, 'INSTANCE_NOT_READY', 'WhatsApp client is not ready');
 
-        this.client.on('authenticated', () => {
-            log('info', 'Client authenticated', this.instanceId);
-        });
+const sendError = (res, status, code, message, details = null) => res.status(status).json({
+    success: false,
+    error: {
+        code: code || DEFAULT_ERROR_CODES[status] || 'INTERNAL_ERROR',
+        message,
+        details
+    }
+});
 
-        this.client.on('auth_failure', (msg) => {
-            log('error', `Authentication failed: ${msg}`, this.instanceId);
-            this.qrCode = null;
-        });
+// Respond with an ApiError's own status and code, or fall back to status for plain errors
+const handleError = (res, error, status = 500) => error instanceof ApiError
+    ? sendError(res, error.status, error.code, error.message, error.details)
+    : sendError(res, status, null, error.message);
+
+// Prefix an error's message while keeping its status and code
+const wrapError = (error, prefix) => error instanceof ApiError
+    ? new ApiError(error.status, error.code, `${prefix}: ${error.message}`, error.details)
+    : new Error(`${prefix}: ${error.message}`);
+
+// Instance registry
+const loadRegistry = () => readJSON(REGISTRY_FILE, {});
+
+const registerInstance = (instanceId, options) => {
+    const registry = loadRegistry();
+    registry[instanceId] = {
+        instanceId,
+        options,
+        createdAt: registry[instanceId]?.createdAt || new Date().toISOString()
+    };
+    writeJSON(REGISTRY_FILE, registry);
+};
 
-        this.client.on('disconnected', (reason) => {
-            log('warn', `Client disconnected: ${reason}`, this.instanceId);
-            this.isReady = false;
-            this.qrCode = null;
+const unregisterInstance = (instanceId) => {
+    const registry = loadRegistry();
+    delete registry[instanceId];
+    writeJSON(REGISTRY_FILE, registry);
+};
+
+// POST a JSON body to a URL, resolving with the response status and body
+const postJSON = (url, body, headers = {}, timeoutMs = 10000) => {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const transport = target.protocol === 'https:' ? https : http;
+        const req = transport.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                ...headers
+            },
+            timeout: timeoutMs
+        }, (res) => {
+            let responseBody = '';
+            res.on('data', chunk => { responseBody += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: responseBody }));
         });
-    }
 
-    async initialize() {
-        try {
-            await this.client.initialize();
-            log('info', 'Client initialization started', this.instanceId);
-            return { success: true };
-        } catch (error) {
-            log('error', `Failed to initialize: ${error.message}`, this.instanceId);
-            return { success: false, error: error.message };
-        }
+        req.on('timeout', () => req.destroy(new Error(`Request timed out after ${timeoutMs}ms`)));
+        req.on('error', reject);
+        req.write(body);
+        req.end();
+    });
+};
+
+// Phone number resolution; local numbers get the default country code (per instance via options.defaultCountryCode)
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '');
+// Numbers without a + prefix and at most this many digits are treated as local
+const LOCAL_NUMBER_MAX_DIGITS = parseInt(process.env.LOCAL_NUMBER_MAX_DIGITS, 10) || 10;
+const VERIFY_RECIPIENTS = process.env.VERIFY_RECIPIENTS === 'true';
+const CHAT_ID_TYPES = {
+    'c.us': 'user',
+    'g.us': 'group',
+    'lid': 'lid',
+    'broadcast': 'broadcast',
+    'newsletter': 'newsletter'
+};
+const E164_PATTERN = /^[1-9]\d{6,14}$/;
+const NUMBER_VALIDATE_BATCH_MAX = 500;
+
+// Parse a number or chat id without throwing; returns { valid, type, chatId, number } or { valid: false, error }
+const parseRecipient = (input, defaultCountryCode = DEFAULT_COUNTRY_CODE) => {
+    const raw = typeof input === 'string' || typeof input === 'number' ? String(input).trim() : '';
+    if (!raw) {
+        return { input, valid: false, error: 'Number is missing' };
     }
 
-    async sendMessage(to, message) {
-        if (!this.isReady) {
-            throw new Error('WhatsApp client is not ready');
+    if (raw.includes('@')) {
+        const [user, domain] = raw.split('@');
+        const type = CHAT_ID_TYPES[domain];
+        if (!type || !user) {
+            return { input, valid: false, error: `Unsupported chat id "${raw}"` };
+        }
+        if (type === 'user' && !E164_PATTERN.test(user)) {
+            return { input, valid: false, error: 'Chat id does not contain a valid phone number' };
         }
+        return { input, valid: true, type, chatId: raw, number: type === 'user' ? user : null };
+    }
 
-        try {
-            let chatId;
-            if (to.includes('@')) {
-                chatId = to;
-            } else {
-                const cleanNumber = to.replace(/\D/g, '');
-                chatId = `${cleanNumber}@c.us`;
-            }
+    if (/[^\d\s()+.\-]/.test(raw)) {
+        return { input, valid: false, error: 'Number contains invalid characters' };
+    }
 
-            const result = await this.client.sendMessage(chatId, message);
-            
-            log('info', `Message sent to ${to}`, this.instanceId);
-            
-            return {
-                success: true,
-                messageId: result.id._serialized,
-                timestamp: result.timestamp,
-                to: result.to
-            };
-        } catch (error) {
-            log('error', `Failed to send message: ${error.message}`, this.instanceId);
-            throw new Error(`Failed to send message: ${error.message}`);
-        }
+    let digits = raw.replace(/\D/g, '');
+    if (raw.startsWith('+')) {
+        // Already international
+    } else if (digits.startsWith('00')) {
+        digits = digits.slice(2);
+    } else if (defaultCountryCode && (digits.startsWith('0') || digits.length <= LOCAL_NUMBER_MAX_DIGITS)) {
+        // Local number: drop the trunk prefix and prepend the country code
+        digits = defaultCountryCode + digits.replace(/^0+/, '');
     }
 
-    async createGroup(groupName, participants) {
-        if (!this.isReady) {
-            throw new Error('WhatsApp client is not ready');
-        }
+    if (!E164_PATTERN.test(digits)) {
+        return {
+            input,
+            valid: false,
+            error: defaultCountryCode
+                ? 'Number must have 7 to 15 digits including the country code'
+                : 'Number must have 7 to 15 digits including the country code (no default country code is configured)'
+        };
+    }
 
-        try {
-            // Format participants - ensure they are in correct format
-            const formattedParticipants = participants.map(participant => {
-                if (participant.includes('@')) {
-                    return participant;
-                }
-                const cleanNumber = participant.replace(/\D/g, '');
-                return `${cleanNumber}@c.us`;
-            });
+    return { input, valid: true, type: 'user', chatId: `${digits}@c.us`, number: digits };
+};
 
-            const group = await this.client.createGroup(groupName, formattedParticipants);
-            
-            log('info', `Group created: ${groupName} with ${participants.length} participants`, this.instanceId);
-            
-            return {
-                success: true,
-                groupId: group.gid._serialized,
-                groupName: groupName,
-                participants: formattedParticipants,
-                inviteCode: group.inviteCode || null
-            };
-        } catch (error) {
-            log('error', `Failed to create group: ${error.message}`, this.instanceId);
-            throw new Error(`Failed to create group: ${error.message}`);
-        }
+// Turn a phone number or chat id into a chat id, throwing on anything that cannot be resolved
+const toChatId = (to, defaultCountryCode = DEFAULT_COUNTRY_CODE) => {
+    const parsed = parseRecipient(to, defaultCountryCode);
+    if (!parsed.valid) {
+        throw new ApiError(400, 'INVALID_NUMBER', `Invalid number "${to}": ${parsed.error}`);
     }
+    return parsed.chatId;
+};
 
-    async updateGroupSettings(groupId, settings) {
-        if (!this.isReady) {
-            throw new Error('WhatsApp client is not ready');
-        }
+// Event payload serializers
+const serializeMessage = (msg) => ({
+    id: msg.id?._serialized,
+    from: msg.from,
+    to: msg.to,
+    author: msg.author || null,
+    body: msg.body,
+    type: msg.type,
+    timestamp: msg.timestamp,
+    fromMe: msg.fromMe,
+    hasMedia: msg.hasMedia,
+    hasQuotedMsg: msg.hasQuotedMsg,
+    isForwarded: msg.isForwarded,
+    ack: msg.ack
+});
 
-        try {
-            const chat = await this.client.getChatById(groupId);
-            
-            if (!chat.isGroup) {
-                throw new Error('Chat is not a group');
-            }
+const serializeGroupNotification = (notification) => ({
+    id: notification.id?._serialized,
+    chatId: notification.chatId,
+    author: notification.author || null,
+    recipientIds: notification.recipientIds || [],
+    type: notification.type,
+    body: notification.body || '',
+    timestamp: notification.timestamp
+});
 
-            const results = {};
+const serializeContact = (contact) => ({
+    id: contact.id?._serialized,
+    number: contact.number || null,
+    name: contact.name || null,
+    pushname: contact.pushname || null,
+    shortName: contact.shortName || null,
+    verifiedName: contact.verifiedName || null,
+    isBusiness: !!contact.isBusiness,
+    isEnterprise: !!contact.isEnterprise,
+    isMyContact: !!contact.isMyContact,
+    isWAContact: !!contact.isWAContact,
+    isBlocked: !!contact.isBlocked
+});
 
-            // Update group subject (name)
-            if (settings.subject || settings.name) {
-                await chat.setSubject(settings.subject || settings.name);
-                results.subject = settings.subject || settings.name;
-                log('info', `Group subject updated: ${settings.subject || settings.name}`, this.instanceId);
-            }
+// Group serializer shared by the list and detail routes; me is our own wid, used for iAmAdmin
+const serializeGroup = (chat, { includeParticipants = true, me = null } = {}) => {
+    const participants = chat.participants || [];
+    const self = me ? participants.find(p => p.id._serialized === me) : null;
+
+    return {
+        id: chat.id._serialized,
+        name: chat.name,
+        description: chat.groupMetadata?.desc || '',
+        ...(includeParticipants ? {
+            participants: participants.map(p => ({
+                id: p.id._serialized,
+                isAdmin: p.isAdmin,
+                isSuperAdmin: p.isSuperAdmin
+            }))
+        } : {}),
+        participantCount: participants.length,
+        adminCount: participants.filter(p => p.isAdmin || p.isSuperAdmin).length,
+        createdAt: chat.groupMetadata?.creation || null,
+        createdBy: chat.groupMetadata?.owner || null,
+        isReadOnly: chat.isReadOnly,
+        unreadCount: chat.unreadCount,
+        archived: chat.archived,
+        pinned: chat.pinned,
+        isMuted: chat.isMuted,
+        inviteCode: chat.inviteCode || null,
+        messagesAdminsOnly: chat.groupMetadata?.announce || false,
+        editGroupInfoAdminsOnly: chat.groupMetadata?.restrict || false,
+        iAmAdmin: !!(self && (self.isAdmin || self.isSuperAdmin))
+    };
+};
 
-            // Update group description
-            if (settings.description) {
-                await chat.setDescription(settings.description);
-                results.description = settings.description;
-                log('info', `Group description updated`, this.instanceId);
-            }
+// Group listing: filters, sorting, field selection and cursor pagination
+const GROUP_FIELDS = [
+    'id', 'name', 'description', 'participants', 'participantCount', 'adminCount', 'createdAt', 'createdBy',
+    'isReadOnly', 'unreadCount', 'archived', 'pinned', 'isMuted', 'inviteCode',
+    'messagesAdminsOnly', 'editGroupInfoAdminsOnly', 'iAmAdmin'
+];
+const GROUP_SORT_FIELDS = ['name', 'createdAt', 'participantCount', 'unreadCount'];
+// Boolean query filters and the group field each one tests
+const GROUP_FILTERS = {
+    adminsOnly: 'messagesAdminsOnly',
+    archived: 'archived',
+    muted: 'isMuted',
+    iAmAdmin: 'iAmAdmin'
+};
+const GROUP_PAGE_MAX = 500;
 
-            // Update group settings (messagesAdminsOnly, editGroupInfoAdminsOnly)
-            if (settings.messagesAdminsOnly !== undefined) {
-                await chat.setMessagesAdminsOnly(settings.messagesAdminsOnly);
-                results.messagesAdminsOnly = settings.messagesAdminsOnly;
-                log('info', `Messages admins only: ${settings.messagesAdminsOnly}`, this.instanceId);
-            }
+const parseBooleanParam = (value, name) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (value !== 'true' && value !== 'false') {
+        throw new Error(`${name} must be "true" or "false"`);
+    }
+    return value === 'true';
+};
 
-            if (settings.editGroupInfoAdminsOnly !== undefined) {
-                await chat.setInfoAdminsOnly(settings.editGroupInfoAdminsOnly);
-                results.editGroupInfoAdminsOnly = settings.editGroupInfoAdminsOnly;
-                log('info', `Edit info admins only: ${settings.editGroupInfoAdminsOnly}`, this.instanceId);
-            }
+// Validate listing query parameters; includeParticipantsDefault differs between /groups and /summary
+const parseGroupQuery = (query, includeParticipantsDefault) => {
+    const includeParticipants = parseBooleanParam(query.includeParticipants, 'includeParticipants');
+    const fresh = parseBooleanParam(query.fresh, 'fresh') || false;
+    const sort = query.sort || 'name';
+    const order = query.order || 'asc';
+    // Without a limit every group is returned, as before pagination existed
+    const limit = query.limit === undefined ? null : parseInt(query.limit, 10);
+
+    if (!GROUP_SORT_FIELDS.includes(sort)) {
+        throw new Error(`sort must be one of: ${GROUP_SORT_FIELDS.join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        throw new Error('order must be "asc" or "desc"');
+    }
+    if (limit !== null && (isNaN(limit) || limit < 1 || limit > GROUP_PAGE_MAX)) {
+        throw new Error(`limit must be between 1 and ${GROUP_PAGE_MAX}`);
+    }
 
-            return {
-                success: true,
-                groupId: groupId,
-                updatedSettings: results
-            };
-        } catch (error) {
-            log('error', `Failed to update group settings: ${error.message}`, this.instanceId);
-            throw new Error(`Failed to update group settings: ${error.message}`);
-        }
+    const fields = query.fields ? query.fields.split(',').map(field => field.trim()).filter(Boolean) : null;
+    const unknownFields = (fields || []).filter(field => !GROUP_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        throw new Error(`Unknown fields: ${unknownFields.join(', ')}. Available: ${GROUP_FIELDS.join(', ')}`);
     }
 
-    async addParticipants(groupId, participants, asAdmin = false) {
-        if (!this.isReady) {
-            throw new Error('WhatsApp client is not ready');
+    const filters = {};
+    for (const [param, field] of Object.entries(GROUP_FILTERS)) {
+        const value = parseBooleanParam(query[param], param);
+        if (value !== undefined) {
+            filters[field] = value;
         }
+    }
 
+    let after = null;
+    if (query.cursor) {
         try {
-            const chat = await this.client.getChatById(groupId);
-            
-            if (!chat.isGroup) {
-                throw new Error('Chat is not a group');
-            }
+            after = JSON.parse(Buffer.from(query.cursor, 'base64url').toString());
+        } catch (error) {
+            throw new Error('Invalid cursor');
+        }
+        if (!after || after.sort !== sort || after.order !== order || typeof after.id !== 'string') {
+            throw new Error('Invalid cursor for this sort order');
+        }
+    }
 
-            // Format participants
-            const formattedParticipants = participants.map(participant => {
-                if (participant.includes('@')) {
-                    return participant;
-                }
-                const cleanNumber = participant.replace(/\D/g, '');
-                return `${cleanNumber}@c.us`;
-            });
+    return {
+        includeParticipants: includeParticipants === undefined ? includeParticipantsDefault : includeParticipants,
+        fresh,
+        q: query.q ? String(query.q).toLowerCase() : null,
+        filters,
+        sort,
+        order,
+        limit,
+        fields,
+        after
+    };
+};
 
-            // Add participants
-            const result = await chat.addParticipants(formattedParticipants);
-            
-            // If asAdmin is true, promote them to admin
-            if (asAdmin) {
-                for (const participant of formattedParticipants) {
-                    try {
-                        await chat.promoteParticipants([participant]);
-                        log('info', `Promoted ${participant} to admin`, this.instanceId);
-                    } catch (error) {
-                        log('warn', `Failed to promote ${participant}: ${error.message}`, this.instanceId);
-                    }
-                }
-            }
+// Apply a parsed query; the cursor holds the sort value and id of the last group on the previous page
+const queryGroups = (groups, { q, filters, sort, order, limit, fields, after }) => {
+    const sortValue = (group) => sort === 'name' ? (group.name || '').toLowerCase() : (group[sort] || 0);
+    const compare = (aValue, aId, bValue, bId) => {
+        const result = aValue < bValue ? -1 : aValue > bValue ? 1 : aId.localeCompare(bId);
+        return order === 'desc' ? -result : result;
+    };
+
+    const matching = groups
+        .filter(group => !q || (group.name || '').toLowerCase().includes(q))
+        .filter(group => Object.entries(filters).every(([field, value]) => !!group[field] === value))
+        .sort((a, b) => compare(sortValue(a), a.id, sortValue(b), b.id));
+
+    const start = after
+        ? matching.findIndex(group => compare(sortValue(group), group.id, after.value, after.id) > 0)
+        : 0;
+    const end = limit === null ? matching.length : start + limit;
+    const page = start === -1 ? [] : matching.slice(start, end);
+    const last = page[page.length - 1];
+    const hasMore = start !== -1 && end < matching.length;
+
+    const pick = (group) => {
+        if (!fields) {
+            return group;
+        }
+        // id is always returned so results can be addressed
+        return Object.fromEntries(['id', ...fields.filter(field => field !== 'id')]
+            .filter(field => field in group)
+            .map(field => [field, group[field]]));
+    };
+
+    return {
+        groups: page.map(pick),
+        total: matching.length,
+        nextCursor: hasMore
+            ? Buffer.from(JSON.stringify({ sort, order, value: sortValue(last), id: last.id })).toString('base64url')
+            : null
+    };
+};
 
-            log('info', `Added ${participants.length} participants to group`, this.instanceId);
+// Webhook settings
+const WEBHOOK_EVENTS = [
+    'message', 'message_create', 'message_ack', 'group_join', 'group_leave',
+    'poll_vote', 'qr', 'pairing_code', 'authenticated', 'auth_failure', 'ready', 'disconnected', 'state_change'
+];
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const WEBHOOK_DELIVERY_LOG_SIZE = parseInt(process.env.WEBHOOK_DELIVERY_LOG_SIZE, 10) || 500;
+// Finished deliveries only keep payloads up to this size (bytes of JSON) for replay
+const WEBHOOK_PAYLOAD_LOG_MAX = parseInt(process.env.WEBHOOK_PAYLOAD_LOG_MAX, 10) || 16384;
+// Delivery log changes are written at most this often instead of on every event
+const WEBHOOK_SAVE_DELAY_MS = 1000;
+
+class WebhookManager {
+    constructor(instanceId) {
+        this.instanceId = instanceId;
+        this.file = path.join('./data/webhooks', `${instanceId}.json`);
+
+        const stored = readJSON(this.file, {});
+        this.webhooks = stored.webhooks || [];
+        this.deliveries = stored.deliveries || [];
+        this.saveTimer = null;
+        this.retryTimers = new Set();
+        this.destroyed = false;
+    }
 
-            return {
-                success: true,
-                groupId: groupId,
-                addedParticipants: formattedParticipants,
-                asAdmin: asAdmin,
-                result: result
-            };
-        } catch (error) {
-            log('error', `Failed to add participants: ${error.message}`, this.instanceId);
-            throw new Error(`Failed to add participants: ${error.message}`);
+    save() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
         }
+        writeJSON(this.file, { webhooks: this.webhooks, deliveries: this.deliveries });
     }
 
-    async promoteParticipants(groupId, participants) {
-        if (!this.isReady) {
-            throw new Error('WhatsApp client is not ready');
+    // Batch delivery log writes; webhook changes still call save() directly
+    scheduleSave() {
+        if (!this.saveTimer && !this.destroyed) {
+            this.saveTimer = setTimeout(() => this.save(), WEBHOOK_SAVE_DELAY_MS);
         }
+    }
 
-        try {
-            const chat = await this.client.getChatById(groupId);
-            
-            if (!chat.isGroup) {
-                throw new Error('Chat is not a group');
-            }
+    // Write a pending batch now (on shutdown)
+    flush() {
+        if (this.saveTimer) {
+            this.save();
+        }
+    }
 
-            // Format participants
-            const formattedParticipants = participants.map(participant => {
-                if (participant.includes('@')) {
-                    return participant;
-                }
-                const cleanNumber = participant.replace(/\D/g, '');
-                return `${cleanNumber}@c.us`;
-            });
+    // A finished delivery drops a large payload; it can no longer be replayed
+    finish(delivery, status) {
+        delivery.status = status;
+        delivery.nextAttemptAt = null;
+        if (Buffer.byteLength(JSON.stringify(delivery.payload)) > WEBHOOK_PAYLOAD_LOG_MAX) {
+            delivery.payload = null;
+            delivery.payloadDropped = true;
+        }
+    }
 
-            await chat.promoteParticipants(formattedParticipants);
-            
-            log('info', `Promoted ${participants.length} participants to admin`, this.instanceId);
+    // Hide secrets when listing webhooks
+    toPublic(webhook) {
+        const { secret, ...rest } = webhook;
+        return { ...rest, hasSecret: !!secret };
+    }
 
-            return {
-                success: true,
-                groupId: groupId,
-                promotedParticipants: formattedParticipants
-            };
+    list() {
+        return this.webhooks.map(webhook => this.toPublic(webhook));
+    }
+
+    register({ url, events, secret, enabled = true }) {
+        const validatedEvents = this.validateEvents(events);
+        this.validateUrl(url);
+
+        const webhook = {
+            id: crypto.randomUUID(),
+            url,
+            events: validatedEvents,
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            enabled: enabled !== false,
+            createdAt: new Date().toISOString()
+        };
+
+        this.webhooks.push(webhook);
+        this.save();
+        log('info', `Webhook registered: ${url}`, this.instanceId);
+
+        // The secret is only returned in full when the webhook is created
+        return webhook;
+    }
+
+    update(webhookId, changes) {
+        const webhook = this.webhooks.find(w => w.id === webhookId);
+        if (!webhook) {
+            throw new ApiError(404, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+        }
+
+        if (changes.url !== undefined) {
+            this.validateUrl(changes.url);
+            webhook.url = changes.url;
+        }
+        if (changes.events !== undefined) {
+            webhook.events = this.validateEvents(changes.events);
+        }
+        if (changes.secret !== undefined) {
+            webhook.secret = changes.secret;
+        }
+        if (changes.enabled !== undefined) {
+            webhook.enabled = !!changes.enabled;
+        }
+
+        webhook.updatedAt = new Date().toISOString();
+        this.save();
+        log('info', `Webhook updated: ${webhookId}`, this.instanceId);
+
+        return this.toPublic(webhook);
+    }
+
+    remove(webhookId) {
+        const index = this.webhooks.findIndex(w => w.id === webhookId);
+        if (index === -1) {
+            throw new ApiError(404, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+        }
+
+        this.webhooks.splice(index, 1);
+        this.save();
+        log('info', `Webhook removed: ${webhookId}`, this.instanceId);
+    }
+
+    validateUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
         } catch (error) {
-            log('error', `Failed to promote participants: ${error.message}`, this.instanceId);
-            throw new Error(`Failed to promote participants: ${error.message}`);
+            throw new Error('Webhook url must be a valid URL');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error('Webhook url must use http or https');
         }
     }
 
-    async demoteParticipants(groupId, participants) {
-        if (!this.isReady) {
-            throw new Error('WhatsApp client is not ready');
+    validateEvents(events) {
+        if (events === undefined) {
+            return ['*'];
+        }
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new Error('events must be a non-empty array');
+        }
+
+        const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown webhook events: ${unknown.join(', ')}`);
+        }
+        return events;
+    }
+
+    // Queue a delivery for every enabled webhook subscribed to this event
+    dispatch(event, data) {
+        const subscribers = this.webhooks.filter(webhook =>
+            webhook.enabled && (webhook.events.includes('*') || webhook.events.includes(event))
+        );
+
+        for (const webhook of subscribers) {
+            const delivery = {
+                id: crypto.randomUUID(),
+                webhookId: webhook.id,
+                event,
+                payload: {
+                    event,
+                    instanceId: this.instanceId,
+                    timestamp: new Date().toISOString(),
+                    data
+                },
+                status: 'pending',
+                attempts: 0,
+                lastError: null,
+                responseStatus: null,
+                createdAt: new Date().toISOString(),
+                deliveredAt: null
+            };
+
+            this.deliveries.push(delivery);
+            if (this.deliveries.length > WEBHOOK_DELIVERY_LOG_SIZE) {
+                this.deliveries.splice(0, this.deliveries.length - WEBHOOK_DELIVERY_LOG_SIZE);
+            }
+
+            this.attempt(delivery);
+        }
+
+        if (subscribers.length > 0) {
+            this.scheduleSave();
+        }
+    }
+
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    async attempt(delivery) {
+        // Deliveries of a deleted instance are dropped, so nothing recreates its file
+        if (this.destroyed) {
+            return;
         }
 
+        const webhook = this.webhooks.find(w => w.id === delivery.webhookId);
+        if (!webhook) {
+            this.finish(delivery, 'failed');
+            delivery.lastError = 'Webhook no longer exists';
+            this.scheduleSave();
+            return;
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        delivery.attempts++;
+
         try {
-            const chat = await this.client.getChatById(groupId);
-            
-            if (!chat.isGroup) {
-                throw new Error('Chat is not a group');
+            const response = await postJSON(webhook.url, body, {
+                'X-Webhook-Id': webhook.id,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+            }, WEBHOOK_TIMEOUT_MS);
+
+            delivery.responseStatus = response.status;
+            if (response.status < 200 || response.status >= 300) {
+                throw new Error(`Endpoint responded with HTTP ${response.status}`);
             }
 
-            // Format participants
-            const formattedParticipants = participants.map(participant => {
-                if (participant.includes('@')) {
-                    return participant;
-                }
-                const cleanNumber = participant.replace(/\D/g, '');
-                return `${cleanNumber}@c.us`;
-            });
+            this.finish(delivery, 'delivered');
+            delivery.lastError = null;
+            delivery.deliveredAt = new Date().toISOString();
+        } catch (error) {
+            delivery.lastError = error.message;
 
-            await chat.demoteParticipants(formattedParticipants);
-            
-            log('info', `Demoted ${participants.length} participants from admin`, this.instanceId);
+            if (this.destroyed) {
+                return;
+            }
+            if (delivery.attempts < WEBHOOK_MAX_ATTEMPTS) {
+                const delay = WEBHOOK_RETRY_BASE_MS * Math.pow(2, delivery.attempts - 1);
+                delivery.status = 'retrying';
+                delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                const timer = setTimeout(() => {
+                    this.retryTimers.delete(timer);
+                    this.attempt(delivery);
+                }, delay);
+                this.retryTimers.add(timer);
+                log('warn', `Webhook delivery ${delivery.id} failed (attempt ${delivery.attempts}), retrying in ${delay}ms: ${error.message}`, this.instanceId);
+            } else {
+                this.finish(delivery, 'failed');
+                log('error', `Webhook delivery ${delivery.id} failed after ${delivery.attempts} attempts: ${error.message}`, this.instanceId);
+            }
+        }
 
-            return {
-                success: true,
-                groupId: groupId,
-                demotedParticipants: formattedParticipants
-            };
+        this.scheduleSave();
+    }
+
+    getDeliveries({ webhookId, status, event, limit = 50 } = {}) {
+        return this.deliveries
+            .filter(d => (!webhookId || d.webhookId === webhookId)
+                && (!status || d.status === status)
+                && (!event || d.event === event))
+            .slice(-limit)
+            .reverse();
+    }
+
+    replay(deliveryId) {
+        const original = this.deliveries.find(d => d.id === deliveryId);
+        if (!original) {
+            throw new ApiError(404, 'DELIVERY_NOT_FOUND', 'Delivery not found');
+        }
+        if (original.payloadDropped) {
+            throw new ApiError(409, 'INVALID_STATE', `The payload of this delivery was larger than ${WEBHOOK_PAYLOAD_LOG_MAX} bytes and was not kept`);
+        }
+
+        const delivery = {
+            ...original,
+            id: crypto.randomUUID(),
+            replayOf: original.id,
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            responseStatus: null,
+            nextAttemptAt: null,
+            createdAt: new Date().toISOString(),
+            deliveredAt: null
+        };
+
+        this.deliveries.push(delivery);
+        this.save();
+        this.attempt(delivery);
+        log('info', `Replaying webhook delivery ${deliveryId} as ${delivery.id}`, this.instanceId);
+
+        return delivery;
+    }
+
+    // Retry deliveries that were still in flight when the server stopped
+    resumePending() {
+        for (const delivery of this.deliveries) {
+            if (delivery.status === 'pending' || delivery.status === 'retrying') {
+                this.attempt(delivery);
+            }
+        }
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.retryTimers.forEach(timer => clearTimeout(timer));
+        this.retryTimers.clear();
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (fs.existsSync(this.file)) {
+            fs.rmSync(this.file, { force: true });
+        }
+    }
+}
+
+// Typed message payloads of the send route; the queue stores them as is and they are built into
+// whatsapp-web.js content when sent
+const MESSAGE_TYPES = ['text', 'poll', 'location', 'contact'];
+const POLL_MAX_OPTIONS = 12;
+const CONTACT_CARDS_MAX = 10;
+
+// Escape a vCard property value
+const vCardValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+
+// vCard 3.0 with the waid parameter WhatsApp uses to link the card to the number
+const toVCard = ({ name, number, organization, email }) => [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${vCardValue(name)}`,
+    `N:${vCardValue(name)};;;;`,
+    ...(organization ? [`ORG:${vCardValue(organization)}`] : []),
+    `TEL;type=CELL;type=VOICE;waid=${number}:+${number}`,
+    ...(email ? [`EMAIL:${vCardValue(email)}`] : []),
+    'END:VCARD'
+].join('\n');
+
+// Validate the send route's body into a queue job type and payload
+const parseMessagePayload = (body, defaultCountryCode) => {
+    const { type = 'text' } = body;
+
+    if (type === 'text') {
+        if (!body.message) {
+            throw new ApiError(400, 'VALIDATION_ERROR', '"message" is required');
+        }
+        return {
+            type,
+            payload: { message: body.message, ...(body.linkPreview !== undefined ? { linkPreview: body.linkPreview } : {}) }
+        };
+    }
+
+    if (type === 'poll') {
+        const { question, options = [], allowMultipleAnswers = false } = body.poll || {};
+        const names = options.map(option => String(option).trim());
+        if (!question || !question.trim() || names.length === 0) {
+            throw new ApiError(400, 'VALIDATION_ERROR', 'poll.question and poll.options are required');
+        }
+        if (names.some(name => !name) || new Set(names).size !== names.length) {
+            throw new ApiError(400, 'VALIDATION_ERROR', 'Poll options must be unique and not empty');
+        }
+        return { type, payload: { poll: { question: question.trim(), options: names, allowMultipleAnswers: !!allowMultipleAnswers } } };
+    }
+
+    if (type === 'location') {
+        const { latitude, longitude, name, address, url } = body.location || {};
+        if (latitude === undefined || longitude === undefined) {
+            throw new ApiError(400, 'VALIDATION_ERROR', 'location.latitude and location.longitude are required');
+        }
+        return { type, payload: { location: { latitude, longitude, name, address, url } } };
+    }
+
+    if (type === 'contact') {
+        const contacts = body.contacts || [];
+        if (contacts.length === 0) {
+            throw new ApiError(400, 'VALIDATION_ERROR', '"contacts" is required');
+        }
+        return {
+            type,
+            payload: {
+                contacts: contacts.map(({ name, number, organization, email }) => {
+                    const parsed = parseRecipient(number, defaultCountryCode);
+                    if (!parsed.valid || parsed.type !== 'user') {
+                        throw new ApiError(400, 'INVALID_NUMBER', `Invalid contact number "${number}": ${parsed.error || 'not a phone number'}`);
+                    }
+                    return { name, number: parsed.number, organization, email };
+                })
+            }
+        };
+    }
+
+    throw new ApiError(400, 'VALIDATION_ERROR', `type must be one of: ${MESSAGE_TYPES.join(', ')}`);
+};
+
+// Base64 media of queued jobs and schedules is kept in its own file and referenced by spoolId,
+// so the job and schedule files that are rewritten on every change stay small
+const SPOOL_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+class MediaSpool {
+    constructor(instanceId) {
+        this.instanceId = instanceId;
+        this.dir = path.join('./data/media', instanceId);
+    }
+
+    fileFor(spoolId) {
+        if (!SPOOL_ID_PATTERN.test(spoolId)) {
+            throw new Error('Invalid media reference');
+        }
+        return path.join(this.dir, `${spoolId}.b64`);
+    }
+
+    // Move inline base64 data into a new file; other sources are returned unchanged
+    store(media) {
+        if (!media || !media.data) {
+            return media;
+        }
+
+        const { data, spoolId, ...rest } = media;
+        const id = crypto.randomUUID();
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(this.fileFor(id), data);
+        return { ...rest, spoolId: id };
+    }
+
+    // Each owner gets its own copy, so removing one never breaks another
+    copy(media) {
+        if (!media || !media.spoolId) {
+            return this.store(media);
+        }
+
+        const id = crypto.randomUUID();
+        fs.copyFileSync(this.fileFor(media.spoolId), this.fileFor(id));
+        return { ...media, spoolId: id };
+    }
+
+    // Media source with the data read back, ready for loadMedia
+    load(media) {
+        if (!media || !media.spoolId) {
+            return media;
+        }
+
+        const { spoolId, ...rest } = media;
+        const file = this.fileFor(spoolId);
+        if (!fs.existsSync(file)) {
+            throw new Error('Queued media file is missing');
+        }
+        return { ...rest, data: fs.readFileSync(file, 'utf8') };
+    }
+
+    remove(media) {
+        if (media && media.spoolId) {
+            fs.rmSync(this.fileFor(media.spoolId), { force: true });
+        }
+    }
+
+    destroy() {
+        fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+}
+
+// spoolId is internal; callers cannot point their media at another job's file
+const withoutSpoolId = (media) => {
+    if (!media) {
+        return media;
+    }
+    const { spoolId, ...rest } = media;
+    return rest;
+};
+
+// Check the integer fields of an options object (e.g. options.queue) against their minimums
+const validateIntegerOptions = (values, minimums, prefix) => {
+    for (const [key, minimum] of Object.entries(minimums)) {
+        const value = values?.[key];
+        if (value !== undefined && (!Number.isInteger(value) || value < minimum)) {
+            throw new ApiError(400, 'VALIDATION_ERROR', `${prefix}.${key} must be an integer of at least ${minimum}`);
+        }
+    }
+};
+
+// Outbound queue defaults, overridable per instance through options.queue
+const QUEUE_DEFAULTS = {
+    messagesPerMinute: parseInt(process.env.QUEUE_MESSAGES_PER_MINUTE, 10) || 20,
+    jitterMs: parseInt(process.env.QUEUE_JITTER_MS, 10) || 2000,
+    recipientCooldownMs: parseInt(process.env.QUEUE_RECIPIENT_COOLDOWN_MS, 10) || 5000,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 3,
+    retryBaseMs: parseInt(process.env.QUEUE_RETRY_BASE_MS, 10) || 10000
+};
+// Finished (sent/failed) jobs kept for status lookups
+const QUEUE_HISTORY_SIZE = parseInt(process.env.QUEUE_HISTORY_SIZE, 10) || 1000;
+const JOB_STATUSES = ['queued', 'sending', 'sent', 'failed', 'cancelled'];
+
+class MessageQueue {
+    constructor(api) {
+        // A rate of 0 would make the send interval infinite
+        validateIntegerOptions(api.options.queue, {
+            messagesPerMinute: 1, jitterMs: 0, recipientCooldownMs: 0, maxAttempts: 1, retryBaseMs: 0
+        }, 'options.queue');
+
+        this.api = api;
+        this.instanceId = api.instanceId;
+        this.settings = { ...QUEUE_DEFAULTS, ...(api.options.queue || {}) };
+        this.file = path.join('./data/queues', `${this.instanceId}.json`);
+        this.timer = null;
+        this.processing = false;
+        this.stopped = false;
+        this.jobs = readJSON(this.file, []);
+        this.lastSentTo = new Map();
+        this.listeners = [];
+
+        for (const job of this.jobs) {
+            // A job that was mid-send when the server stopped is retried (at-least-once delivery)
+            if (job.status === 'sending') {
+                job.status = 'queued';
+            }
+            if (job.status === 'sent') {
+                this.lastSentTo.set(job.recipient, Date.parse(job.sentAt));
+            }
+        }
+    }
+
+    save() {
+        writeJSON(this.file, this.jobs);
+    }
+
+    // Called with every job that ends up sent, failed or cancelled
+    onFinish(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(job) {
+        for (const listener of this.listeners) {
+            try {
+                listener(job);
+            } catch (error) {
+                log('error', `Queue listener failed for job ${job.id}: ${error.message}`, this.instanceId);
+            }
+        }
+    }
+
+    // type is "text" (payload.message) or "media" (payload.media, payload.options);
+    // extra is merged into the job (e.g. { campaignId })
+    enqueue(type, to, payload, extra = {}) {
+        if (payload.media) {
+            payload = { ...payload, media: this.api.mediaSpool.copy(payload.media) };
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            instanceId: this.instanceId,
+            ...extra,
+            type,
+            to,
+            recipient: this.api.resolveChatId(to),
+            payload,
+            status: 'queued',
+            attempts: 0,
+            lastError: null,
+            result: null,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            nextAttemptAt: null,
+            sentAt: null
+        };
+
+        this.jobs.push(job);
+        this.save();
+        log('info', `Queued ${type} message ${job.id} to ${to}`, this.instanceId);
+        this.schedule(0);
+
+        return job;
+    }
+
+    getJob(jobId) {
+        return this.jobs.find(job => job.id === jobId) || null;
+    }
+
+    // Job without the (potentially large) payload
+    toPublic(job) {
+        const { payload, ...rest } = job;
+        return rest;
+    }
+
+    list({ status, limit = 50 } = {}) {
+        return this.jobs
+            .filter(job => !status || job.status === status)
+            .slice(-limit)
+            .reverse()
+            .map(job => this.toPublic(job));
+    }
+
+    // Only jobs that have not started sending can be cancelled
+    cancel(jobId) {
+        const job = this.getJob(jobId);
+        if (!job || job.status !== 'queued') {
+            return false;
+        }
+
+        job.status = 'cancelled';
+        job.updatedAt = new Date().toISOString();
+        this.api.mediaSpool.remove(job.payload.media);
+        this.save();
+        this.notify(job);
+
+        return true;
+    }
+
+    getStats() {
+        const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+        for (const job of this.jobs) {
+            counts[job.status]++;
+        }
+        return { ...counts, settings: this.settings, paused: !this.api.isReady };
+    }
+
+    schedule(delay) {
+        if (this.stopped || this.timer || this.processing) {
+            return;
+        }
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.process();
+        }, delay);
+    }
+
+    // Called when the instance reaches ready again
+    resume() {
+        this.stopped = false;
+        this.schedule(0);
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Next job that is due and whose recipient is out of its cooldown, or how long to wait for one
+    nextJob() {
+        const now = Date.now();
+        let waitMs = null;
+
+        for (const job of this.jobs) {
+            if (job.status !== 'queued') {
+                continue;
+            }
+
+            const dueAt = Math.max(
+                job.nextAttemptAt ? Date.parse(job.nextAttemptAt) : 0,
+                (this.lastSentTo.get(job.recipient) || 0) + this.settings.recipientCooldownMs
+            );
+
+            if (dueAt <= now) {
+                return { job };
+            }
+            waitMs = waitMs === null ? dueAt - now : Math.min(waitMs, dueAt - now);
+        }
+
+        return { job: null, waitMs };
+    }
+
+    async process() {
+        // Nothing is sent while the client is not ready; the ready event resumes the queue
+        if (this.stopped || !this.api.isReady) {
+            return;
+        }
+
+        const { job, waitMs } = this.nextJob();
+        if (!job) {
+            if (waitMs !== null) {
+                this.schedule(waitMs);
+            }
+            return;
+        }
+
+        this.processing = true;
+        job.status = 'sending';
+        job.attempts++;
+        job.updatedAt = new Date().toISOString();
+        this.save();
+
+        try {
+            if (job.type === 'media') {
+                job.result = await this.api.sendMedia(job.to, this.api.mediaSpool.load(job.payload.media), job.payload.options);
+            } else if (job.type === 'text') {
+                job.result = await this.api.sendMessage(job.to, job.payload.message, { linkPreview: job.payload.linkPreview });
+            } else {
+                // Saved after each message so a retry does not send contact cards twice
+                job.progress = job.progress || { sent: [] };
+                job.result = await this.api.sendTypedMessage(job.to, job.type, job.payload, job.progress, () => this.save());
+            }
+
+            job.status = 'sent';
+            job.lastError = null;
+            job.nextAttemptAt = null;
+            job.sentAt = new Date().toISOString();
+            this.lastSentTo.set(job.recipient, Date.now());
         } catch (error) {
-            log('error', `Failed to demote participants: ${error.message}`, this.instanceId);
-            throw new Error(`Failed to demote participants: ${error.message}`);
+            job.lastError = error.message;
+
+            if (!this.api.isReady) {
+                // Dropped connection: wait for ready without spending an attempt
+                job.attempts--;
+                job.status = 'queued';
+            } else if (job.attempts < this.settings.maxAttempts) {
+                const delay = this.settings.retryBaseMs * Math.pow(2, job.attempts - 1);
+                job.status = 'queued';
+                job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                log('warn', `Job ${job.id} failed (attempt ${job.attempts}), retrying in ${delay}ms`, this.instanceId);
+            } else {
+                job.status = 'failed';
+                log('error', `Job ${job.id} failed after ${job.attempts} attempts: ${error.message}`, this.instanceId);
+            }
+        }
+
+        job.updatedAt = new Date().toISOString();
+        this.prune();
+        this.save();
+        this.processing = false;
+
+        if (job.status !== 'queued') {
+            this.api.mediaSpool.remove(job.payload.media);
+            this.notify(job);
         }
+
+        // Spread sends out to stay under the configured rate
+        const interval = Math.ceil(60000 / this.settings.messagesPerMinute);
+        this.schedule(interval + Math.floor(Math.random() * this.settings.jitterMs));
     }
 
-    async getAllGroups() {
-        if (!this.isReady) {
-            throw new Error('WhatsApp client is not ready');
+    // Drop the oldest finished jobs beyond QUEUE_HISTORY_SIZE
+    prune() {
+        const finished = this.jobs.filter(job => ['sent', 'failed', 'cancelled'].includes(job.status));
+        const excess = finished.length - QUEUE_HISTORY_SIZE;
+        if (excess > 0) {
+            const dropped = new Set(finished.slice(0, excess));
+            this.jobs = this.jobs.filter(job => !dropped.has(job));
+        }
+    }
+
+    destroy() {
+        this.stop();
+        if (fs.existsSync(this.file)) {
+            fs.rmSync(this.file, { force: true });
         }
+    }
+}
 
+// Scheduled messages
+const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+const SCHEDULE_CATCH_UP = CATCH_UP_POLICIES.includes(process.env.SCHEDULE_CATCH_UP) ? process.env.SCHEDULE_CATCH_UP : 'once';
+// A run this late (or later) counts as missed and goes through the catch-up policy
+const SCHEDULE_GRACE_MS = parseInt(process.env.SCHEDULE_GRACE_MS, 10) || 60000;
+// Upper bound of runs replayed by the "all" policy
+const SCHEDULE_MAX_CATCH_UP_RUNS = parseInt(process.env.SCHEDULE_MAX_CATCH_UP_RUNS, 10) || 50;
+const SCHEDULE_TICK_MS = 30000;
+
+class ScheduleManager {
+    constructor(api) {
+        this.api = api;
+        this.instanceId = api.instanceId;
+        this.file = path.join('./data/schedules', `${this.instanceId}.json`);
+        this.schedules = readJSON(this.file, []);
+        this.timer = null;
+    }
+
+    save() {
+        writeJSON(this.file, this.schedules);
+    }
+
+    validateTimezone(timezone) {
         try {
-            const chats = await this.client.getChats();
-            const groups = chats.filter(chat => chat.isGroup);
-            
-            log('info', `Retrieved ${groups.length} groups`, this.instanceId);
-            
-            return groups.map(group => ({
-                id: group.id._serialized,
-                name: group.name,
-                description: group.groupMetadata?.desc || '',
-                participants: group.participants?.map(p => ({
-                    id: p.id._serialized,
-                    isAdmin: p.isAdmin,
-                    isSuperAdmin: p.isSuperAdmin
-                })) || [],
-                participantCount: group.participants?.length || 0,
-                adminCount: group.participants?.filter(p => p.isAdmin || p.isSuperAdmin).length || 0,
-                createdAt: group.groupMetadata?.creation || null,
-                createdBy: group.groupMetadata?.owner || null,
-                isReadOnly: group.isReadOnly,
-                unreadCount: group.unreadCount,
-                archived: group.archived,
-                pinned: group.pinned,
-                isMuted: group.isMuted,
-                inviteCode: group.inviteCode || null
-            }));
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
         } catch (error) {
-            log('error', `Failed to get groups: ${error.message}`, this.instanceId);
-            throw new Error(`Failed to get groups: ${error.message}`);
+            throw new Error(`Invalid timezone: ${timezone}`);
+        }
+    }
+
+    // Validate and normalize the fields shared by create and update
+    normalize({ to, message, media, sendAt, cron, timezone, catchUp }) {
+        if (!to) {
+            throw new Error('"to" is required');
+        }
+        this.api.resolveChatId(to);
+        if (!message && !media) {
+            throw new Error('Either "message" or "media" is required');
+        }
+        if (!sendAt === !cron) {
+            throw new Error('Exactly one of "sendAt" or "cron" is required');
+        }
+        if (sendAt && isNaN(Date.parse(sendAt))) {
+            throw new Error('sendAt must be an ISO 8601 timestamp');
+        }
+        if (catchUp && !CATCH_UP_POLICIES.includes(catchUp)) {
+            throw new Error(`catchUp must be one of: ${CATCH_UP_POLICIES.join(', ')}`);
+        }
+
+        const tz = timezone || 'UTC';
+        this.validateTimezone(tz);
+
+        if (cron) {
+            try {
+                cronParser.parseExpression(cron, { tz });
+            } catch (error) {
+                throw new Error(`Invalid cron expression: ${error.message}`);
+            }
+        }
+
+        let type = 'text';
+        let payload = { message };
+        if (media) {
+            const { caption, asDocument, asVoice, asSticker, ...source } = media;
+            this.api.loadMedia(this.api.mediaSpool.load(source));
+            type = 'media';
+            payload = { media: source, options: { caption, asDocument, asVoice, asSticker } };
         }
+
+        return {
+            to,
+            type,
+            payload,
+            sendAt: sendAt ? new Date(sendAt).toISOString() : null,
+            cron: cron || null,
+            timezone: tz,
+            catchUp: catchUp || SCHEDULE_CATCH_UP
+        };
+    }
+
+    // First run strictly after the given date, or null when a one-off schedule has no more runs
+    nextRun(schedule, after) {
+        if (schedule.sendAt) {
+            return Date.parse(schedule.sendAt) > after.getTime() ? schedule.sendAt : null;
+        }
+        const interval = cronParser.parseExpression(schedule.cron, { currentDate: after, tz: schedule.timezone });
+        return interval.next().toDate().toISOString();
+    }
+
+    // A one-off time that has already passed would never fire
+    validateSendAt(sendAt, now) {
+        if (sendAt && Date.parse(sendAt) <= now.getTime()) {
+            throw new Error('sendAt must be in the future');
+        }
+    }
+
+    create(fields) {
+        const normalized = this.normalize({ ...fields, media: withoutSpoolId(fields.media) });
+        const now = new Date();
+        this.validateSendAt(normalized.sendAt, now);
+
+        if (normalized.payload.media) {
+            normalized.payload.media = this.api.mediaSpool.store(normalized.payload.media);
+        }
+
+        const schedule = {
+            id: crypto.randomUUID(),
+            instanceId: this.instanceId,
+            ...normalized,
+            status: 'active',
+            nextRunAt: null,
+            lastRunAt: null,
+            runCount: 0,
+            missedCount: 0,
+            lastJobId: null,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+
+        schedule.nextRunAt = schedule.sendAt || this.nextRun(schedule, now);
+        this.schedules.push(schedule);
+        this.save();
+        this.start();
+        log('info', `Schedule created: ${schedule.id} (${schedule.cron || schedule.sendAt})`, this.instanceId);
+
+        return schedule;
+    }
+
+    get(scheduleId) {
+        const schedule = this.schedules.find(s => s.id === scheduleId);
+        if (!schedule) {
+            throw new ApiError(404, 'SCHEDULE_NOT_FOUND', 'Schedule not found');
+        }
+        return schedule;
+    }
+
+    list({ status } = {}) {
+        return this.schedules.filter(schedule => !status || schedule.status === status);
+    }
+
+    update(scheduleId, changes) {
+        const schedule = this.get(scheduleId);
+        if (['completed', 'cancelled'].includes(schedule.status)) {
+            throw new Error(`Cannot update a ${schedule.status} schedule`);
+        }
+
+        // Switching between sendAt and cron replaces the other one
+        const current = {
+            to: schedule.to,
+            message: schedule.type === 'text' ? schedule.payload.message : undefined,
+            media: schedule.type === 'media' ? { ...schedule.payload.media, ...schedule.payload.options } : undefined,
+            sendAt: schedule.sendAt,
+            cron: schedule.cron,
+            timezone: schedule.timezone,
+            catchUp: schedule.catchUp
+        };
+        if (changes.sendAt) {
+            current.cron = null;
+        }
+        if (changes.cron) {
+            current.sendAt = null;
+        }
+        if (changes.message) {
+            current.media = undefined;
+        }
+        if (changes.media) {
+            current.message = undefined;
+        }
+
+        const previousMedia = schedule.payload.media;
+        const normalized = this.normalize({ ...current, ...changes, ...(changes.media ? { media: withoutSpoolId(changes.media) } : {}) });
+        if (changes.sendAt) {
+            this.validateSendAt(normalized.sendAt, new Date());
+        }
+        if (normalized.payload.media) {
+            normalized.payload.media = this.api.mediaSpool.store(normalized.payload.media);
+        }
+        if (previousMedia && previousMedia.spoolId !== normalized.payload.media?.spoolId) {
+            this.api.mediaSpool.remove(previousMedia);
+        }
+
+        Object.assign(schedule, normalized);
+        schedule.nextRunAt = schedule.sendAt || this.nextRun(schedule, new Date());
+        schedule.updatedAt = new Date().toISOString();
+        this.save();
+        this.start();
+        log('info', `Schedule updated: ${scheduleId}`, this.instanceId);
+
+        return schedule;
+    }
+
+    setStatus(scheduleId, status) {
+        const schedule = this.get(scheduleId);
+
+        if (status === 'paused' && schedule.status !== 'active') {
+            throw new Error(`Cannot pause a ${schedule.status} schedule`);
+        }
+        if (status === 'active' && schedule.status !== 'paused') {
+            throw new Error(`Cannot resume a ${schedule.status} schedule`);
+        }
+        if (status === 'cancelled' && ['completed', 'cancelled'].includes(schedule.status)) {
+            throw new Error(`Schedule is already ${schedule.status}`);
+        }
+
+        schedule.status = status;
+        schedule.updatedAt = new Date().toISOString();
+        if (status === 'cancelled') {
+            this.api.mediaSpool.remove(schedule.payload.media);
+        }
+
+        // Runs that fell inside the pause are not caught up
+        if (status === 'active' && schedule.cron) {
+            schedule.nextRunAt = this.nextRun(schedule, new Date());
+        }
+
+        this.save();
+        this.start();
+        log('info', `Schedule ${scheduleId} is now ${status}`, this.instanceId);
+
+        return schedule;
+    }
+
+    start() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+
+        const due = this.schedules
+            .filter(schedule => schedule.status === 'active' && schedule.nextRunAt)
+            .map(schedule => Date.parse(schedule.nextRunAt));
+        if (due.length === 0) {
+            this.timer = null;
+            return;
+        }
+
+        const delay = Math.max(0, Math.min(Math.min(...due) - Date.now(), SCHEDULE_TICK_MS));
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Runs are only fired while the instance is ready; anything due while it was down is handled on the ready event
+    tick() {
+        this.timer = null;
+
+        if (!this.api.isReady) {
+            return;
+        }
+
+        const now = new Date();
+        let changed = false;
+
+        for (const schedule of this.schedules) {
+            if (schedule.status === 'active' && schedule.nextRunAt && Date.parse(schedule.nextRunAt) <= now.getTime()) {
+                this.run(schedule, now);
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.save();
+        }
+
+        this.start();
+    }
+
+    run(schedule, now) {
+        // Every run that came due up to now
+        const dueRuns = [schedule.nextRunAt];
+        let next = this.nextRun(schedule, new Date(schedule.nextRunAt));
+        while (next && Date.parse(next) <= now.getTime() && dueRuns.length < SCHEDULE_MAX_CATCH_UP_RUNS) {
+            dueRuns.push(next);
+            next = this.nextRun(schedule, new Date(next));
+        }
+
+        const onTime = dueRuns.length === 1 && now.getTime() - Date.parse(dueRuns[0]) < SCHEDULE_GRACE_MS;
+        let sendCount;
+        if (onTime) {
+            sendCount = 1;
+        } else if (schedule.catchUp === 'all') {
+            sendCount = dueRuns.length;
+        } else {
+            sendCount = schedule.catchUp === 'once' ? 1 : 0;
+        }
+
+        for (let i = 0; i < sendCount; i++) {
+            const job = this.api.queue.enqueue(schedule.type, schedule.to, schedule.payload);
+            schedule.lastJobId = job.id;
+            schedule.runCount++;
+        }
+
+        schedule.missedCount += dueRuns.length - sendCount;
+        if (sendCount > 0) {
+            schedule.lastRunAt = now.toISOString();
+        }
+        if (!onTime) {
+            log('warn', `Schedule ${schedule.id} missed ${dueRuns.length} run(s), catch-up "${schedule.catchUp}" sent ${sendCount}`, this.instanceId);
+        }
+
+        schedule.nextRunAt = schedule.cron ? this.nextRun(schedule, now) : null;
+        if (!schedule.nextRunAt) {
+            // Every job already has its own copy of the media
+            schedule.status = 'completed';
+            this.api.mediaSpool.remove(schedule.payload.media);
+        }
+        schedule.updatedAt = now.toISOString();
+    }
+
+    destroy() {
+        this.stop();
+        if (fs.existsSync(this.file)) {
+            fs.rmSync(this.file, { force: true });
+        }
+    }
+}
+
+// Minimal RFC 4180 CSV parsing into objects keyed by the header row
+const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (!header) {
+        return [];
+    }
+    const columns = header.map(column => column.trim());
+    return records.map(record => Object.fromEntries(columns.map((column, i) => [column, (record[i] || '').trim()])));
+};
+
+const toCSV = (rows, columns) => {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n');
+};
+
+// Replace {{name}} placeholders, reporting the variables that are missing
+const renderTemplate = (template, variables) => {
+    const missing = new Set();
+    const text = template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => {
+        if (variables[key] === undefined || variables[key] === null || variables[key] === '') {
+            missing.add(key);
+            return match;
+        }
+        return String(variables[key]);
+    });
+    return { text, missing: [...missing] };
+};
+
+// Broadcast campaigns
+const BROADCAST_MAX_RECIPIENTS = parseInt(process.env.BROADCAST_MAX_RECIPIENTS, 10) || 5000;
+// Jobs a campaign keeps in the outbound queue at once, so regular sends are not stuck behind it
+const BROADCAST_WINDOW = parseInt(process.env.BROADCAST_WINDOW, 10) || 5;
+const RECIPIENT_STATUSES = ['pending', 'queued', 'sent', 'failed', 'skipped', 'cancelled'];
+
+class CampaignManager {
+    constructor(api) {
+        this.api = api;
+        this.instanceId = api.instanceId;
+        this.file = path.join('./data/campaigns', `${this.instanceId}.json`);
+        this.campaigns = readJSON(this.file, []);
+
+        this.api.queue.onFinish(job => this.handleJob(job));
+        this.reconcile();
+    }
+
+    save() {
+        writeJSON(this.file, this.campaigns);
+    }
+
+    // Accepts strings, { to, variables } or flat objects whose other keys are variables
+    normalizeRecipients(recipients) {
+        return recipients.map(recipient => {
+            if (typeof recipient === 'string' || typeof recipient === 'number') {
+                return { to: String(recipient), variables: {} };
+            }
+
+            const { to, phone, number, variables, ...rest } = recipient || {};
+            return {
+                to: String(to || phone || number || ''),
+                variables: variables && typeof variables === 'object' ? variables : rest
+            };
+        });
+    }
+
+    create({ name, template, recipients }) {
+        if (!template || typeof template !== 'string') {
+            throw new Error('template is required');
+        }
+        if (!Array.isArray(recipients) || recipients.length === 0) {
+            throw new Error('At least one recipient is required');
+        }
+        if (recipients.length > BROADCAST_MAX_RECIPIENTS) {
+            throw new Error(`A campaign can have at most ${BROADCAST_MAX_RECIPIENTS} recipients`);
+        }
+
+        const seen = new Set();
+        const normalized = this.normalizeRecipients(recipients).map((recipient, index) => {
+            const entry = {
+                index,
+                to: recipient.to,
+                chatId: null,
+                variables: recipient.variables,
+                message: null,
+                status: 'pending',
+                jobId: null,
+                messageId: null,
+                error: null,
+                sentAt: null
+            };
+
+            const parsed = parseRecipient(recipient.to, this.api.defaultCountryCode);
+            if (!parsed.valid) {
+                return { ...entry, status: 'skipped', error: parsed.error };
+            }
+
+            entry.chatId = parsed.chatId;
+            if (seen.has(entry.chatId)) {
+                return { ...entry, status: 'skipped', error: 'Duplicate recipient' };
+            }
+            seen.add(entry.chatId);
+
+            const { text, missing } = renderTemplate(template, { ...recipient.variables, to: recipient.to });
+            if (missing.length > 0) {
+                return { ...entry, status: 'skipped', error: `Missing variables: ${missing.join(', ')}` };
+            }
+
+            return { ...entry, message: text };
+        });
+
+        const campaign = {
+            id: crypto.randomUUID(),
+            instanceId: this.instanceId,
+            name: name || null,
+            template,
+            status: 'running',
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            completedAt: null,
+            recipients: normalized
+        };
+
+        this.campaigns.push(campaign);
+        this.fill(campaign);
+        this.save();
+        log('info', `Campaign ${campaign.id} created with ${normalized.length} recipients`, this.instanceId);
+
+        return campaign;
+    }
+
+    get(campaignId) {
+        const campaign = this.campaigns.find(c => c.id === campaignId);
+        if (!campaign) {
+            throw new ApiError(404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+        }
+        return campaign;
+    }
+
+    summarize(campaign) {
+        const counts = Object.fromEntries(RECIPIENT_STATUSES.map(status => [status, 0]));
+        for (const recipient of campaign.recipients) {
+            counts[recipient.status]++;
+        }
+
+        const total = campaign.recipients.length;
+        const done = counts.sent + counts.failed + counts.skipped + counts.cancelled;
+        const { recipients, ...rest } = campaign;
+
+        return {
+            ...rest,
+            total,
+            counts,
+            progress: total > 0 ? Math.round((done / total) * 100) : 100
+        };
+    }
+
+    list() {
+        return this.campaigns.map(campaign => this.summarize(campaign));
+    }
+
+    // Keep up to BROADCAST_WINDOW recipients in the outbound queue
+    fill(campaign) {
+        if (campaign.status !== 'running') {
+            return;
+        }
+
+        let outstanding = campaign.recipients.filter(r => r.status === 'queued').length;
+        for (const recipient of campaign.recipients) {
+            if (outstanding >= BROADCAST_WINDOW) {
+                break;
+            }
+            if (recipient.status !== 'pending') {
+                continue;
+            }
+
+            const job = this.api.queue.enqueue('text', recipient.to, { message: recipient.message }, { campaignId: campaign.id });
+            recipient.status = 'queued';
+            recipient.jobId = job.id;
+            outstanding++;
+        }
+
+        if (!campaign.recipients.some(r => r.status === 'pending' || r.status === 'queued')) {
+            campaign.status = 'completed';
+            campaign.completedAt = new Date().toISOString();
+            log('info', `Campaign ${campaign.id} completed`, this.instanceId);
+        }
+        campaign.updatedAt = new Date().toISOString();
+    }
+
+    applyJob(campaign, job) {
+        const recipient = campaign.recipients.find(r => r.jobId === job.id);
+        if (!recipient || recipient.status !== 'queued') {
+            return;
+        }
+
+        if (job.status === 'sent') {
+            recipient.status = 'sent';
+            recipient.messageId = job.result?.messageId || null;
+            recipient.sentAt = job.sentAt;
+            recipient.error = null;
+        } else if (job.status === 'failed') {
+            recipient.status = 'failed';
+            recipient.error = job.lastError;
+        } else if (job.status === 'cancelled') {
+            recipient.status = 'cancelled';
+        }
+    }
+
+    handleJob(job) {
+        if (!job.campaignId) {
+            return;
+        }
+
+        const campaign = this.campaigns.find(c => c.id === job.campaignId);
+        if (!campaign) {
+            return;
+        }
+
+        this.applyJob(campaign, job);
+        this.fill(campaign);
+        this.save();
+    }
+
+    // Catch up with jobs that finished or vanished while the server was down
+    reconcile() {
+        for (const campaign of this.campaigns) {
+            for (const recipient of campaign.recipients) {
+                if (recipient.status !== 'queued') {
+                    continue;
+                }
+
+                const job = this.api.queue.getJob(recipient.jobId);
+                if (!job) {
+                    recipient.status = 'pending';
+                    recipient.jobId = null;
+                } else {
+                    this.applyJob(campaign, job);
+                }
+            }
+            this.fill(campaign);
+        }
+        this.save();
+    }
+
+    pause(campaignId) {
+        const campaign = this.get(campaignId);
+        if (campaign.status !== 'running') {
+            throw new Error(`Cannot pause a ${campaign.status} campaign`);
+        }
+
+        // Recipients already in the queue are still sent
+        campaign.status = 'paused';
+        campaign.updatedAt = new Date().toISOString();
+        this.save();
+        log('info', `Campaign ${campaignId} paused`, this.instanceId);
+
+        return this.summarize(campaign);
+    }
+
+    resume(campaignId) {
+        const campaign = this.get(campaignId);
+        if (campaign.status !== 'paused') {
+            throw new Error(`Cannot resume a ${campaign.status} campaign`);
+        }
+
+        campaign.status = 'running';
+        this.fill(campaign);
+        this.save();
+        log('info', `Campaign ${campaignId} resumed`, this.instanceId);
+
+        return this.summarize(campaign);
+    }
+
+    cancel(campaignId) {
+        const campaign = this.get(campaignId);
+        if (!['running', 'paused'].includes(campaign.status)) {
+            throw new Error(`Cannot cancel a ${campaign.status} campaign`);
+        }
+
+        campaign.status = 'cancelled';
+        for (const recipient of campaign.recipients) {
+            if (recipient.status === 'pending') {
+                recipient.status = 'cancelled';
+            } else if (recipient.status === 'queued') {
+                // Fails when the job is already being sent; its result is still recorded
+                this.api.queue.cancel(recipient.jobId);
+            }
+        }
+
+        campaign.updatedAt = new Date().toISOString();
+        this.save();
+        log('info', `Campaign ${campaignId} cancelled`, this.instanceId);
+
+        return this.summarize(campaign);
+    }
+
+    report(campaignId) {
+        const campaign = this.get(campaignId);
+        const variableNames = [...new Set(campaign.recipients.flatMap(r => Object.keys(r.variables || {})))];
+
+        const rows = campaign.recipients.map(recipient => ({
+            to: recipient.to,
+            chatId: recipient.chatId,
+            status: recipient.status,
+            messageId: recipient.messageId,
+            sentAt: recipient.sentAt,
+            error: recipient.error,
+            ...recipient.variables
+        }));
+
+        return {
+            columns: ['to', 'chatId', 'status', 'messageId', 'sentAt', 'error', ...variableNames],
+            rows
+        };
+    }
+
+    destroy() {
+        if (fs.existsSync(this.file)) {
+            fs.rmSync(this.file, { force: true });
+        }
+    }
+}
+
+// Auto-replies: per-instance rules checked against incoming messages, highest priority first; the first match replies
+const AUTO_REPLY_CHAT_TYPES = ['direct', 'group'];
+const AUTO_REPLY_TYPES = ['text', 'media', 'template'];
+// Default per-chat cooldown of a rule, so two bots cannot keep answering each other
+const AUTO_REPLY_COOLDOWN_SECONDS = parseInt(process.env.AUTO_REPLY_COOLDOWN_SECONDS, 10) || 60;
+const BUSINESS_HOURS_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// The static check below cannot catch every slow pattern (like (a|a)*$), so matching is also bounded
+const AUTO_REPLY_PATTERN_INPUT_MAX = 4096;
+const AUTO_REPLY_PATTERN_TIMEOUT_MS = parseInt(process.env.AUTO_REPLY_PATTERN_TIMEOUT_MS, 10) || 50;
+
+// A vm timeout interrupts a regex that is still backtracking, which a plain exec() cannot do
+const patternContext = vm.createContext({});
+const patternScript = new vm.Script('regex.exec(text)');
+
+// Match a rule pattern against the start of a message; null when it does not match in time
+const execPattern = (regex, text, instanceId) => {
+    patternContext.regex = regex;
+    patternContext.text = text.slice(0, AUTO_REPLY_PATTERN_INPUT_MAX);
+    try {
+        return patternScript.runInContext(patternContext, { timeout: AUTO_REPLY_PATTERN_TIMEOUT_MS });
+    } catch (error) {
+        if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+            throw error;
+        }
+        log('warn', `Auto-reply pattern /${regex.source}/ timed out after ${AUTO_REPLY_PATTERN_TIMEOUT_MS}ms`, instanceId);
+        return null;
+    } finally {
+        patternContext.regex = null;
+        patternContext.text = null;
+    }
+};
+
+// Patterns run against every incoming message, so constructs that can backtrack exponentially are rejected:
+// repeated groups that contain a quantifier or an alternation, and backreferences. Returns the reason or null.
+const findUnsafePatternConstruct = (pattern) => {
+    const groups = [{ quantified: false, alternation: false }];
+    let lastGroup = null;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const current = groups[groups.length - 1];
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1] || '')) {
+                return 'backreferences are not allowed';
+            }
+            i++;
+            lastGroup = null;
+        } else if (char === '[') {
+            // Skip the character class
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') {
+                    i++;
+                }
+            }
+            lastGroup = null;
+        } else if (char === '(') {
+            groups.push({ quantified: false, alternation: false });
+            const prefix = /^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/.exec(pattern.slice(i + 1));
+            i += prefix ? prefix[0].length : 0;
+            lastGroup = null;
+        } else if (char === ')' && groups.length > 1) {
+            lastGroup = groups.pop();
+            const parent = groups[groups.length - 1];
+            parent.quantified = parent.quantified || lastGroup.quantified;
+            parent.alternation = parent.alternation || lastGroup.alternation;
+        } else if (char === '|') {
+            current.alternation = true;
+            lastGroup = null;
+        } else if ('*+?{'.includes(char)) {
+            const range = char === '{' ? /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i)) : null;
+            if (char === '{' && !range) {
+                lastGroup = null;
+                continue;
+            }
+            // ? and {0,1} match at most once
+            const repeats = char === '*' || char === '+' || (range && (range[2] ? range[3] === '' || parseInt(range[3], 10) > 1 : parseInt(range[1], 10) > 1));
+            if (repeats && lastGroup?.quantified) {
+                return 'nested quantifiers like (a+)+ are not allowed';
+            }
+            if (repeats && lastGroup?.alternation) {
+                return 'repeated alternations like (a|ab)+ are not allowed';
+            }
+            current.quantified = true;
+            i += range ? range[0].length - 1 : 0;
+            if (pattern[i + 1] === '?') {
+                i++;
+            }
+            lastGroup = null;
+        } else {
+            lastGroup = null;
+        }
+    }
+
+    return null;
+};
+
+class AutoReplyManager {
+    constructor(api) {
+        this.api = api;
+        this.instanceId = api.instanceId;
+        this.file = path.join('./data/auto-replies', `${this.instanceId}.json`);
+        this.rules = readJSON(this.file, []);
+        // "ruleId:chatId" -> time of the last reply, for cooldowns
+        this.lastReplies = new Map();
+        // ruleId -> compiled pattern, rebuilt when the pattern or case sensitivity changes
+        this.patterns = new Map();
+    }
+
+    save() {
+        writeJSON(this.file, this.rules);
+    }
+
+    // Validate and normalize the fields shared by create and update
+    normalize({
+        name = null,
+        enabled = true,
+        priority = 0,
+        keywords = [],
+        pattern = null,
+        caseSensitive = false,
+        chatTypes,
+        groupIds = [],
+        reply,
+        businessHours = null,
+        cooldownSeconds = AUTO_REPLY_COOLDOWN_SECONDS
+    }) {
+        if (pattern) {
+            try {
+                new RegExp(pattern);
+            } catch (error) {
+                throw new Error(`Invalid pattern: ${error.message}`);
+            }
+            const unsafe = findUnsafePatternConstruct(pattern);
+            if (unsafe) {
+                throw new Error(`Invalid pattern: ${unsafe}`);
+            }
+        }
+
+        const types = chatTypes || (groupIds.length > 0 ? ['group'] : ['direct']);
+        if (types.length === 0 || types.some(type => !AUTO_REPLY_CHAT_TYPES.includes(type))) {
+            throw new Error(`chatTypes must be a non-empty subset of: ${AUTO_REPLY_CHAT_TYPES.join(', ')}`);
+        }
+        if (groupIds.length > 0 && !types.includes('group')) {
+            throw new Error('groupIds only apply to the "group" chat type');
+        }
+
+        const normalizedGroupIds = groupIds.map(groupId => {
+            const parsed = parseRecipient(groupId);
+            if (!parsed.valid || parsed.type !== 'group') {
+                throw new Error(`Invalid group id "${groupId}"`);
+            }
+            return parsed.chatId;
+        });
+
+        return {
+            name,
+            enabled: enabled !== false,
+            priority,
+            keywords: keywords.map(keyword => String(keyword).trim()).filter(Boolean),
+            pattern: pattern || null,
+            caseSensitive: !!caseSensitive,
+            chatTypes: types,
+            groupIds: normalizedGroupIds,
+            reply: this.normalizeReply(reply),
+            businessHours: businessHours ? this.normalizeBusinessHours(businessHours) : null,
+            cooldownSeconds
+        };
+    }
+
+    normalizeReply(reply) {
+        if (!reply || !AUTO_REPLY_TYPES.includes(reply.type)) {
+            throw new Error(`reply.type must be one of: ${AUTO_REPLY_TYPES.join(', ')}`);
+        }
+
+        if (reply.type === 'text') {
+            if (!reply.message) {
+                throw new Error('reply.message is required for text replies');
+            }
+            return { type: 'text', message: reply.message };
+        }
+
+        if (reply.type === 'template') {
+            if (!reply.template) {
+                throw new Error('reply.template is required for template replies');
+            }
+            return { type: 'template', template: reply.template, defaults: reply.defaults || {} };
+        }
+
+        // Fail on bad media now rather than on the first match
+        const { caption, asDocument, asVoice, asSticker, ...source } = reply.media || {};
+        this.api.loadMedia(source);
+        return { type: 'media', media: withoutSpoolId(reply.media) };
+    }
+
+    normalizeBusinessHours({ timezone = 'UTC', days = [1, 2, 3, 4, 5], start, end, when = 'inside' }) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            throw new Error(`Invalid timezone: ${timezone}`);
+        }
+        if (!BUSINESS_HOURS_TIME.test(start || '') || !BUSINESS_HOURS_TIME.test(end || '')) {
+            throw new Error('businessHours.start and businessHours.end must be HH:MM times');
+        }
+        if (start === end) {
+            throw new Error('businessHours.start and businessHours.end must differ');
+        }
+        if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            throw new Error('businessHours.days must list weekdays from 0 (Sunday) to 6 (Saturday)');
+        }
+        if (!['inside', 'outside'].includes(when)) {
+            throw new Error('businessHours.when must be "inside" or "outside"');
+        }
+
+        return { timezone, days: [...new Set(days)].sort((a, b) => a - b), start, end, when };
+    }
+
+    create(fields) {
+        const now = new Date().toISOString();
+        const rule = {
+            id: crypto.randomUUID(),
+            instanceId: this.instanceId,
+            ...this.normalize(fields),
+            matchCount: 0,
+            lastMatchedAt: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.rules.push(rule);
+        this.save();
+        log('info', `Auto-reply rule created: ${rule.id}${rule.name ? ` (${rule.name})` : ''}`, this.instanceId);
+
+        return rule;
+    }
+
+    get(ruleId) {
+        const rule = this.rules.find(r => r.id === ruleId);
+        if (!rule) {
+            throw new ApiError(404, 'AUTO_REPLY_RULE_NOT_FOUND', 'Auto-reply rule not found');
+        }
+        return rule;
+    }
+
+    // In evaluation order
+    list() {
+        return [...this.rules].sort((a, b) => b.priority - a.priority);
+    }
+
+    update(ruleId, changes) {
+        const rule = this.get(ruleId);
+        const { id, instanceId, matchCount, lastMatchedAt, createdAt, updatedAt, ...current } = rule;
+
+        Object.assign(rule, this.normalize({ ...current, ...changes }));
+        rule.updatedAt = new Date().toISOString();
+        this.save();
+        log('info', `Auto-reply rule updated: ${ruleId}`, this.instanceId);
+
+        return rule;
+    }
+
+    remove(ruleId) {
+        const rule = this.get(ruleId);
+        this.rules.splice(this.rules.indexOf(rule), 1);
+        this.patterns.delete(ruleId);
+        for (const key of this.lastReplies.keys()) {
+            if (key.startsWith(`${ruleId}:`)) {
+                this.lastReplies.delete(key);
+            }
+        }
+        this.save();
+        log('info', `Auto-reply rule removed: ${ruleId}`, this.instanceId);
+    }
+
+    isWithinBusinessHours({ timezone, days, start, end, when }, date) {
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+                .formatToParts(date)
+                .map(part => [part.type, part.value])
+        );
+        const toMinutes = (time) => parseInt(time.slice(0, 2), 10) * 60 + parseInt(time.slice(3), 10);
+        const minutes = parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10);
+
+        // A window like 22:00-06:00 runs past midnight
+        const inWindow = toMinutes(start) < toMinutes(end)
+            ? minutes >= toMinutes(start) && minutes < toMinutes(end)
+            : minutes >= toMinutes(start) || minutes < toMinutes(end);
+        const inside = days.includes(WEEKDAYS.indexOf(parts.weekday)) && inWindow;
+
+        return when === 'inside' ? inside : !inside;
+    }
+
+    // Compiled pattern of a rule; null for unsafe patterns stored before they were rejected, which never match
+    getPattern(rule) {
+        const flags = rule.caseSensitive ? '' : 'i';
+        const cached = this.patterns.get(rule.id);
+        if (cached && cached.source === rule.pattern && cached.flags === flags) {
+            return cached.regex;
+        }
+
+        const unsafe = findUnsafePatternConstruct(rule.pattern);
+        if (unsafe) {
+            log('warn', `Auto-reply rule ${rule.id} is skipped, its pattern is unsafe: ${unsafe}`, this.instanceId);
+        }
+        const regex = unsafe ? null : new RegExp(rule.pattern, flags);
+        this.patterns.set(rule.id, { source: rule.pattern, flags, regex });
+        return regex;
+    }
+
+    // Returns the regex captures when the rule applies, or the reason it does not
+    check(rule, context, date) {
+        if (!rule.enabled) {
+            return { reason: 'disabled' };
+        }
+        if (!rule.chatTypes.includes(context.chatType)) {
+            return { reason: 'chat_type' };
+        }
+        if (context.chatType === 'group' && rule.groupIds.length > 0 && !rule.groupIds.includes(context.chatId)) {
+            return { reason: 'group' };
+        }
+
+        const text = context.body.trim();
+        if (rule.keywords.length > 0) {
+            const normalize = (value) => rule.caseSensitive ? value : value.toLowerCase();
+            if (!rule.keywords.some(keyword => normalize(keyword) === normalize(text))) {
+                return { reason: 'keyword' };
+            }
+        }
+
+        let captures = {};
+        if (rule.pattern) {
+            const regex = this.getPattern(rule);
+            const match = regex && execPattern(regex, text, this.instanceId);
+            if (!match) {
+                return { reason: 'pattern' };
+            }
+            captures = { ...Object.fromEntries(match.slice(1).map((value, index) => [String(index + 1), value])), ...match.groups };
+        }
+
+        if (rule.businessHours && !this.isWithinBusinessHours(rule.businessHours, date)) {
+            return { reason: 'business_hours' };
+        }
+
+        const lastReply = this.lastReplies.get(`${rule.id}:${context.chatId}`);
+        const cooldownMs = rule.cooldownSeconds * 1000 - (date.getTime() - (lastReply || 0));
+        if (lastReply && cooldownMs > 0) {
+            return { reason: 'cooldown', retryInSeconds: Math.ceil(cooldownMs / 1000) };
+        }
+
+        return { captures };
+    }
+
+    // Placeholders: {{body}}, {{name}}, {{number}}, {{chatId}}, regex groups ({{1}}, {{name}}) and the rule's defaults
+    buildReply(rule, context, captures) {
+        const { reply } = rule;
+
+        if (reply.type === 'media') {
+            const { caption, asDocument, asVoice, asSticker, ...source } = reply.media;
+            return { type: 'media', payload: { media: source, options: { caption, asDocument, asVoice, asSticker } }, missing: [] };
+        }
+
+        if (reply.type === 'template') {
+            const variables = { ...reply.defaults };
+            for (const [key, value] of Object.entries({ ...context, ...captures })) {
+                if (value !== undefined && value !== null && value !== '') {
+                    variables[key] = value;
+                }
+            }
+            const { text, missing } = renderTemplate(reply.template, variables);
+            return { type: 'text', payload: { message: text }, missing };
+        }
+
+        return { type: 'text', payload: { message: reply.message }, missing: [] };
+    }
+
+    // Check a message against every rule in order; results explains why earlier rules did not match
+    evaluate(context, date = new Date()) {
+        const results = [];
+
+        for (const rule of this.list()) {
+            const { reason, retryInSeconds, captures } = this.check(rule, context, date);
+            if (reason) {
+                results.push({ ruleId: rule.id, name: rule.name, matched: false, reason, ...(retryInSeconds ? { retryInSeconds } : {}) });
+                continue;
+            }
+
+            const reply = this.buildReply(rule, context, captures);
+            results.push({ ruleId: rule.id, name: rule.name, matched: true });
+            return { rule, reply, results };
+        }
+
+        return { rule: null, reply: null, results };
+    }
+
+    contextFor(msg) {
+        const sender = msg.author || msg.from;
+        return {
+            body: msg.body || '',
+            chatId: msg.from,
+            chatType: msg.from.endsWith('@g.us') ? 'group' : 'direct',
+            name: msg._data?.notifyName || '',
+            number: sender.split('@')[0]
+        };
+    }
+
+    // Called for every incoming message; replies go through the outbound queue
+    handle(msg) {
+        if (this.rules.length === 0 || msg.fromMe || /@(broadcast|newsletter)$/.test(msg.from)) {
+            return;
+        }
+
+        const context = this.contextFor(msg);
+        const { rule, reply } = this.evaluate(context);
+        if (!rule) {
+            return;
+        }
+
+        if (reply.missing.length > 0) {
+            log('warn', `Auto-reply rule ${rule.id} skipped, missing template variables: ${reply.missing.join(', ')}`, this.instanceId);
+            return;
+        }
+
+        const now = new Date();
+        this.lastReplies.set(`${rule.id}:${context.chatId}`, now.getTime());
+        rule.matchCount++;
+        rule.lastMatchedAt = now.toISOString();
+        this.save();
+
+        const job = this.api.queue.enqueue(reply.type, context.chatId, reply.payload, { autoReplyRuleId: rule.id });
+        log('info', `Auto-reply rule ${rule.id} matched ${msg.id?._serialized}, queued job ${job.id}`, this.instanceId);
+    }
+
+    destroy() {
+        if (fs.existsSync(this.file)) {
+            fs.rmSync(this.file, { force: true });
+        }
+    }
+}
+
+// Live event stream (Server-Sent Events)
+const EVENT_BUFFER_SIZE = parseInt(process.env.EVENT_BUFFER_SIZE, 10) || 500;
+const EVENT_HEARTBEAT_MS = 25000;
+// Scope needed to receive each event type; anything else needs only instances:read
+const EVENT_SCOPES = {
+    message: 'messages:read',
+    message_create: 'messages:read',
+    message_ack: 'messages:read',
+    poll_vote: 'messages:read',
+    group_join: 'groups:read',
+    group_leave: 'groups:read',
+    // Login codes link a device to the account, like the pairing page and pairing-code route
+    qr: 'instances:admin',
+    pairing_code: 'instances:admin',
+    authenticated: 'instances:admin'
+};
+
+class EventStream {
+    constructor(instanceId) {
+        this.instanceId = instanceId;
+        this.seq = 0;
+        this.buffer = [];
+        this.subscribers = new Map();
+    }
+
+    publish(type, data) {
+        const event = {
+            id: ++this.seq,
+            type,
+            instanceId: this.instanceId,
+            timestamp: new Date().toISOString(),
+            data
+        };
+
+        this.buffer.push(event);
+        if (this.buffer.length > EVENT_BUFFER_SIZE) {
+            this.buffer.shift();
+        }
+
+        for (const subscriber of this.subscribers.keys()) {
+            subscriber(event);
+        }
+    }
+
+    // Buffered events after lastEventId; ids restart with the server, so an id from the future replays everything
+    since(lastEventId) {
+        if (!lastEventId || lastEventId > this.seq) {
+            return lastEventId ? [...this.buffer] : [];
+        }
+        return this.buffer.filter(event => event.id > lastEventId);
+    }
+
+    // onClose is called if the stream is closed while subscribed (e.g. the instance is deleted)
+    subscribe(subscriber, onClose = () => {}) {
+        this.subscribers.set(subscriber, onClose);
+        return () => this.subscribers.delete(subscriber);
+    }
+
+    close() {
+        for (const onClose of this.subscribers.values()) {
+            onClose();
+        }
+        this.subscribers.clear();
+    }
+}
+
+// Pairing page: follows the event stream, shows each new QR code and switches to success on ready.
+// The instance id and API key are read from the URL in the browser, nothing is templated in.
+const PAIRING_PAGE_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Link WhatsApp</title>
+<style>
+    body { font-family: system-ui, sans-serif; background: #f0f2f5; color: #111b21; display: flex; justify-content: center; padding: 40px 16px; }
+    .card { background: #fff; border-radius: 12px; box-shadow: 0 2px 12px rgba(0,0,0,.08); padding: 32px; max-width: 420px; width: 100%; text-align: center; }
+    #qr { width: 280px; height: 280px; margin: 16px auto; display: flex; align-items: center; justify-content: center; background: #f7f8fa; border-radius: 8px; }
+    #qr img { width: 100%; height: 100%; }
+    .status { margin: 12px 0; color: #54656f; }
+    .success { color: #008069; font-size: 1.4em; }
+    .error { color: #d93025; }
+    form { margin-top: 24px; border-top: 1px solid #e9edef; padding-top: 16px; }
+    input { padding: 8px; width: 60%; border: 1px solid #d1d7db; border-radius: 6px; }
+    button { padding: 8px 14px; border: 0; border-radius: 6px; background: #008069; color: #fff; cursor: pointer; }
+    #code { font-family: monospace; font-size: 1.8em; letter-spacing: 4px; margin-top: 12px; }
+</style>
+</head>
+<body>
+<div class="card">
+    <h2>Link WhatsApp</h2>
+    <div class="status" id="instance"></div>
+    <div id="qr">Waiting for QR code…</div>
+    <div class="status" id="status">Connecting…</div>
+    <form id="pairing">
+        <div class="status">Or link with a phone number</div>
+        <input id="phone" placeholder="919876543210" inputmode="numeric">
+        <button type="submit">Get code</button>
+        <div id="code"></div>
+    </form>
+</div>
+<script>
+    const instanceId = decodeURIComponent(location.pathname.split('/')[2]);
+    const apiKey = new URLSearchParams(location.search).get('apiKey') || '';
+    const base = '/instance/' + encodeURIComponent(instanceId);
+    const headers = apiKey ? { 'X-API-Key': apiKey } : {};
+    const $ = (id) => document.getElementById(id);
+    $('instance').textContent = instanceId;
+
+    const setStatus = (text, className) => {
+        $('status').textContent = text;
+        $('status').className = 'status ' + (className || '');
+    };
+
+    const showQr = async () => {
+        const response = await fetch(base + '/qr?format=dataurl', { headers });
+        const body = await response.json();
+        if (body.success) {
+            $('qr').innerHTML = '';
+            const img = document.createElement('img');
+            img.src = body.dataUrl;
+            img.alt = 'WhatsApp QR code';
+            $('qr').appendChild(img);
+            setStatus('Scan with WhatsApp → Linked devices → Link a device');
+        }
+    };
+
+    const showReady = () => {
+        $('qr').textContent = '✅';
+        $('pairing').style.display = 'none';
+        setStatus('Linked successfully, this instance is ready.', 'success');
+    };
+
+    const showState = (state) => {
+        if (state === 'ready') return showReady();
+        if (state === 'qr_pending') return showQr();
+        if (state === 'authenticated') return setStatus('Authenticated, loading chats…');
+        if (state === 'failed' || state === 'logged_out') return setStatus('Instance is ' + state, 'error');
+        setStatus('Instance is ' + state);
+    };
+
+    const events = new EventSource(base + '/events?types=qr,pairing_code,ready,state_change' + (apiKey ? '&apiKey=' + encodeURIComponent(apiKey) : ''));
+    events.addEventListener('status', (e) => showState(JSON.parse(e.data).state));
+    events.addEventListener('qr', () => showQr());
+    events.addEventListener('pairing_code', (e) => { $('code').textContent = JSON.parse(e.data).data.code; });
+    events.addEventListener('ready', () => showReady());
+    events.addEventListener('state_change', (e) => showState(JSON.parse(e.data).data.to));
+    events.onerror = () => setStatus('Connection lost, retrying…', 'error');
+
+    $('pairing').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        $('code').textContent = '…';
+        const response = await fetch(base + '/pairing-code', {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ phoneNumber: $('phone').value })
+        });
+        const body = await response.json();
+        $('code').textContent = body.success ? body.pairingCode : '';
+        if (!body.success) setStatus(body.error.message, 'error');
+        else setStatus('Enter this code on your phone: Linked devices → Link with phone number');
+    });
+</script>
+</body>
+</html>`;
+
+// Message ack levels as reported by whatsapp-web.js
+const ACK_STATUSES = { '-1': 'error', 0: 'pending', 1: 'sent', 2: 'delivered', 3: 'read', 4: 'played' };
+const MESSAGE_STATUS_BATCH_MAX = 500;
+const MESSAGE_FORWARD_MAX = 50;
+// Pin durations WhatsApp offers: 24 hours, 7 days and 30 days
+const MESSAGE_PIN_DURATIONS = [86400, 604800, 2592000];
+
+// Current ack plus when each level was first reached
+const formatAckStatus = (record) => {
+    const transitions = (record.ackHistory || []).map(entry => ({
+        ack: entry.ack,
+        status: ACK_STATUSES[entry.ack] || 'unknown',
+        at: entry.at
+    }));
+    const firstAt = (level) => transitions.find(t => t.ack >= level)?.at || null;
+
+    return {
+        messageId: record.id,
+        chatId: record.chatId,
+        direction: record.direction,
+        ack: record.ack,
+        status: ACK_STATUSES[record.ack] || 'unknown',
+        sentAt: firstAt(1),
+        deliveredAt: firstAt(2),
+        readAt: firstAt(3),
+        playedAt: firstAt(4),
+        transitions
+    };
+};
+
+// Message history
+const MESSAGE_STORE_MAX = parseInt(process.env.MESSAGE_STORE_MAX, 10) || 100000;
+const MESSAGE_QUERY_MAX_LIMIT = 500;
+
+// Append-only JSON lines per instance; updates are appended too and the file is compacted when it grows
+class MessageStore {
+    constructor(instanceId) {
+        this.instanceId = instanceId;
+        this.file = path.join('./data/messages', `${instanceId}.jsonl`);
+        this.messages = new Map();
+        this.seq = 0;
+        this.lineCount = 0;
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) {
+            return;
+        }
+
+        const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                const record = JSON.parse(line);
+                this.messages.set(record.id, { ...this.messages.get(record.id), ...record });
+                this.seq = Math.max(this.seq, record.seq || 0);
+                this.lineCount++;
+            } catch (error) {
+                log('warn', `Skipping corrupt message store line: ${error.message}`, this.instanceId);
+            }
+        }
+
+        this.enforceLimit();
+        this.compactIfNeeded();
+    }
+
+    append(record) {
+        fs.appendFileSync(this.file, JSON.stringify(record) + '\n');
+        this.lineCount++;
+        this.compactIfNeeded();
+    }
+
+    compactIfNeeded() {
+        if (this.lineCount <= this.messages.size * 2 + 1000) {
+            return;
+        }
+
+        const tmpFile = `${this.file}.tmp`;
+        const lines = [...this.messages.values()].map(record => JSON.stringify(record));
+        fs.writeFileSync(tmpFile, lines.length > 0 ? lines.join('\n') + '\n' : '');
+        fs.renameSync(tmpFile, this.file);
+        this.lineCount = lines.length;
+    }
+
+    // Drop the oldest messages beyond MESSAGE_STORE_MAX (the Map keeps insertion order)
+    enforceLimit() {
+        while (this.messages.size > MESSAGE_STORE_MAX) {
+            this.messages.delete(this.messages.keys().next().value);
+        }
+    }
+
+    save(msg) {
+        const id = msg.id?._serialized;
+        if (!id || this.messages.has(id)) {
+            return;
+        }
+
+        const record = {
+            id,
+            seq: ++this.seq,
+            chatId: msg.fromMe ? msg.to : msg.from,
+            direction: msg.fromMe ? 'outbound' : 'inbound',
+            from: msg.from,
+            to: msg.to,
+            author: msg.author || null,
+            type: msg.type,
+            body: msg.body || '',
+            hasMedia: !!msg.hasMedia,
+            media: msg.hasMedia ? {
+                mimetype: msg._data?.mimetype || null,
+                filename: msg._data?.filename || null,
+                size: msg._data?.size || null
+            } : null,
+            isForwarded: !!msg.isForwarded,
+            quotedMessageId: msg.hasQuotedMsg ? (msg._data?.quotedStanzaID || null) : null,
+            timestamp: new Date((msg.timestamp || Date.now() / 1000) * 1000).toISOString(),
+            ack: msg.ack ?? null,
+            ackUpdatedAt: null,
+            ackHistory: msg.ack !== undefined && msg.ack !== null ? [{ ack: msg.ack, at: new Date().toISOString() }] : []
+        };
+
+        this.messages.set(id, record);
+        this.enforceLimit();
+        this.append(record);
+    }
+
+    updateAck(messageId, ack) {
+        const record = this.messages.get(messageId);
+        if (!record || record.ack === ack) {
+            return;
+        }
+
+        record.ack = ack;
+        record.ackUpdatedAt = new Date().toISOString();
+        record.ackHistory = [...(record.ackHistory || []), { ack, at: record.ackUpdatedAt }];
+        this.append({ id: messageId, ack, ackUpdatedAt: record.ackUpdatedAt, ackHistory: record.ackHistory });
+    }
+
+    get(messageId) {
+        return this.messages.get(messageId) || null;
+    }
+
+    // Newest first; the cursor is the opaque seq of the last message on the previous page
+    query({ chatId, direction, since, until, q, limit = 50, cursor } = {}) {
+        const sinceTime = since ? Date.parse(since) : null;
+        const untilTime = until ? Date.parse(until) : null;
+        const beforeSeq = cursor ? parseInt(Buffer.from(cursor, 'base64url').toString(), 10) : null;
+        const search = q ? q.toLowerCase() : null;
+        const pageSize = Math.min(Math.max(limit, 1), MESSAGE_QUERY_MAX_LIMIT);
+
+        if ((since && isNaN(sinceTime)) || (until && isNaN(untilTime))) {
+            throw new Error('since and until must be ISO 8601 timestamps');
+        }
+        if (cursor && isNaN(beforeSeq)) {
+            throw new Error('Invalid cursor');
+        }
+
+        const records = [...this.messages.values()];
+        const results = [];
+        let hasMore = false;
+
+        for (let i = records.length - 1; i >= 0; i--) {
+            const record = records[i];
+            if ((beforeSeq !== null && record.seq >= beforeSeq)
+                || (chatId && record.chatId !== chatId)
+                || (direction && record.direction !== direction)
+                || (sinceTime !== null && Date.parse(record.timestamp) < sinceTime)
+                || (untilTime !== null && Date.parse(record.timestamp) > untilTime)
+                || (search && !record.body.toLowerCase().includes(search))) {
+                continue;
+            }
+
+            if (results.length === pageSize) {
+                hasMore = true;
+                break;
+            }
+            results.push(record);
+        }
+
+        return {
+            messages: results,
+            nextCursor: hasMore ? Buffer.from(String(results[results.length - 1].seq)).toString('base64url') : null
+        };
+    }
+
+    destroy() {
+        this.messages.clear();
+        if (fs.existsSync(this.file)) {
+            fs.rmSync(this.file, { force: true });
+        }
+    }
+}
+
+// Polls sent or seen by the instance with each voter's latest selection
+const POLL_STORE_MAX = parseInt(process.env.POLL_STORE_MAX, 10) || 1000;
+
+class PollStore {
+    constructor(instanceId) {
+        this.instanceId = instanceId;
+        this.file = path.join('./data/polls', `${instanceId}.json`);
+        this.polls = readJSON(this.file, []);
+    }
+
+    save() {
+        // Keep the most recently created polls
+        if (this.polls.length > POLL_STORE_MAX) {
+            this.polls = this.polls.slice(-POLL_STORE_MAX);
+        }
+        writeJSON(this.file, this.polls);
+    }
+
+    register(msg, { question, options, allowMultipleAnswers }) {
+        const messageId = msg.id?._serialized;
+        if (!messageId || this.get(messageId)) {
+            return;
+        }
+
+        this.polls.push({
+            messageId,
+            chatId: msg.fromMe ? msg.to : msg.from,
+            question,
+            options,
+            allowMultipleAnswers: !!allowMultipleAnswers,
+            votes: {},
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+        this.save();
+    }
+
+    // A vote replaces the voter's earlier selection; an empty selection withdraws it
+    recordVote(vote) {
+        const parent = vote.parentMessage;
+        const messageId = parent?.id?._serialized;
+        if (!messageId) {
+            return null;
+        }
+
+        if (!this.get(messageId)) {
+            // Poll sent from another device or before tracking started
+            this.register(parent, {
+                question: parent.pollName || '',
+                options: (parent.pollOptions || []).map(option => option.name),
+                allowMultipleAnswers: parent.allowMultipleAnswers
+            });
+        }
+
+        const poll = this.get(messageId);
+        const selectedOptions = (vote.selectedOptions || []).map(option => option.name);
+        if (selectedOptions.length > 0) {
+            poll.votes[vote.voter] = {
+                selectedOptions,
+                votedAt: new Date(vote.interractedAtTs || Date.now()).toISOString()
+            };
+        } else {
+            delete poll.votes[vote.voter];
+        }
+        poll.updatedAt = new Date().toISOString();
+        this.save();
+
+        return this.summarize(poll, vote.voter);
+    }
+
+    get(messageId) {
+        return this.polls.find(poll => poll.messageId === messageId) || null;
+    }
+
+    // Counts per option plus the voters behind them
+    summarize(poll, voter = undefined) {
+        const voters = Object.entries(poll.votes).map(([id, entry]) => ({ voter: id, ...entry }));
+        return {
+            messageId: poll.messageId,
+            chatId: poll.chatId,
+            question: poll.question,
+            allowMultipleAnswers: poll.allowMultipleAnswers,
+            ...(voter !== undefined ? { voter, selectedOptions: poll.votes[voter]?.selectedOptions || [] } : {}),
+            options: poll.options.map(name => ({
+                name,
+                votes: voters.filter(entry => entry.selectedOptions.includes(name)).length
+            })),
+            totalVoters: voters.length,
+            voters,
+            createdAt: poll.createdAt,
+            updatedAt: poll.updatedAt
+        };
+    }
+
+    // Newest first
+    list({ chatId, limit = 50 } = {}) {
+        return this.polls
+            .filter(poll => !chatId || poll.chatId === chatId)
+            .slice(-limit)
+            .reverse()
+            .map(poll => this.summarize(poll));
+    }
+
+    destroy() {
+        this.polls = [];
+        if (fs.existsSync(this.file)) {
+            fs.rmSync(this.file, { force: true });
+        }
+    }
+}
+
+// Group metadata cache, warmed on ready and kept current by group events
+const GROUP_CACHE_TTL_MS = parseInt(process.env.GROUP_CACHE_TTL_MS, 10) || 300000;
+const GROUP_CACHE_EVENTS = ['group_update', 'group_join', 'group_leave', 'group_admin_changed'];
+
+class GroupCache {
+    constructor(api) {
+        this.api = api;
+        this.instanceId = api.instanceId;
+        this.chats = new Map();
+        // Ids from the last full load; null until the list has been loaded once
+        this.groupIds = null;
+        this.listedAt = null;
+        this.warming = null;
+        this.stats = { hits: 0, misses: 0, invalidations: 0, warmedAt: null, lastWarmError: null };
+    }
+
+    isFresh(cachedAt) {
+        return cachedAt !== null && Date.now() - cachedAt < GROUP_CACHE_TTL_MS;
+    }
+
+    store(chat) {
+        const groupId = chat.id._serialized;
+        this.chats.set(groupId, { chat, cachedAt: Date.now() });
+        if (this.groupIds) {
+            this.groupIds.add(groupId);
+        }
+    }
+
+    async load() {
+        const chats = await this.api.client.getChats();
+        const groups = chats.filter(chat => chat.isGroup);
+
+        this.chats.clear();
+        this.groupIds = new Set();
+        groups.forEach(chat => this.store(chat));
+        this.listedAt = Date.now();
+        return groups;
+    }
+
+    // Concurrent callers share one load
+    warm() {
+        if (!this.warming) {
+            this.warming = this.load()
+                .then(groups => {
+                    this.stats.warmedAt = new Date().toISOString();
+                    this.stats.lastWarmError = null;
+                    log('info', `Group cache warmed with ${groups.length} groups`, this.instanceId);
+                })
+                .catch(error => {
+                    this.stats.lastWarmError = error.message;
+                    log('warn', `Failed to warm group cache: ${error.message}`, this.instanceId);
+                })
+                .finally(() => {
+                    this.warming = null;
+                });
+        }
+        return this.warming;
+    }
+
+    async getChat(groupId, fresh = false) {
+        const entry = this.chats.get(groupId);
+        if (!fresh && entry && this.isFresh(entry.cachedAt)) {
+            this.stats.hits++;
+            return entry.chat;
+        }
+
+        this.stats.misses++;
+        const chat = await this.api.client.getChatById(groupId);
+        if (chat?.isGroup) {
+            this.store(chat);
+        }
+        return chat;
+    }
+
+    // Cached chat without touching the stats or fetching
+    peek(groupId) {
+        return this.chats.get(groupId)?.chat || null;
+    }
+
+    // Invalidated groups are refetched one by one instead of reloading the whole chat list
+    async getGroups(fresh = false) {
+        if (fresh || !this.groupIds || !this.isFresh(this.listedAt)) {
+            this.stats.misses++;
+            return this.load();
+        }
+
+        const groups = [];
+        for (const groupId of this.groupIds) {
+            try {
+                groups.push(await this.getChat(groupId));
+            } catch (error) {
+                log('warn', `Dropping ${groupId} from group cache: ${error.message}`, this.instanceId);
+                this.groupIds.delete(groupId);
+            }
+        }
+        return groups.filter(chat => chat?.isGroup);
+    }
+
+    // Unknown ids are added to the list so groups we were just added to show up
+    invalidate(groupId) {
+        if (!groupId) {
+            return;
+        }
+        this.chats.delete(groupId);
+        if (this.groupIds) {
+            this.groupIds.add(groupId);
+        }
+        this.stats.invalidations++;
+    }
+
+    remove(groupId) {
+        this.chats.delete(groupId);
+        if (this.groupIds) {
+            this.groupIds.delete(groupId);
+        }
+    }
+
+    clear() {
+        this.chats.clear();
+        this.groupIds = null;
+        this.listedAt = null;
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            size: this.chats.size,
+            listLoaded: this.groupIds !== null,
+            listedAt: this.listedAt ? new Date(this.listedAt).toISOString() : null,
+            ttlMs: GROUP_CACHE_TTL_MS,
+            hits: this.stats.hits,
+            misses: this.stats.misses,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null,
+            invalidations: this.stats.invalidations,
+            warmedAt: this.stats.warmedAt,
+            lastWarmError: this.stats.lastWarmError
+        };
+    }
+
+    destroy() {
+        this.clear();
+    }
+}
+
+// Group audit log
+const GROUP_AUDIT_MAX_ENTRIES = parseInt(process.env.GROUP_AUDIT_MAX_ENTRIES, 10) || 50000;
+const GROUP_AUDIT_QUERY_MAX_LIMIT = 500;
+// group_update notification types and the group field they change
+const GROUP_UPDATE_FIELDS = {
+    subject: 'name',
+    description: 'description',
+    announce: 'messagesAdminsOnly',
+    restrict: 'editGroupInfoAdminsOnly'
+};
+
+const currentActor = () => {
+    const req = requestContext.getStore()?.req;
+    if (!req) {
+        // Not inside a request, e.g. a background job
+        return { type: 'system', id: null, name: null };
+    }
+    // No key when authentication is disabled
+    return req.apiKey
+        ? { type: 'api_key', id: req.apiKey.id, name: req.apiKey.name || null }
+        : { type: 'anonymous', id: null, name: null };
+};
+
+// Append-only JSON lines per instance, trimmed to the newest GROUP_AUDIT_MAX_ENTRIES
+class GroupAuditLog {
+    constructor(instanceId) {
+        this.instanceId = instanceId;
+        this.file = path.join('./data/audit', `${instanceId}.jsonl`);
+        this.entries = [];
+        this.seq = 0;
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) {
+            return;
+        }
+
+        const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                const entry = JSON.parse(line);
+                this.entries.push(entry);
+                this.seq = Math.max(this.seq, entry.seq || 0);
+            } catch (error) {
+                log('warn', `Skipping corrupt audit log line: ${error.message}`, this.instanceId);
+            }
+        }
+
+        if (this.entries.length > GROUP_AUDIT_MAX_ENTRIES) {
+            this.compact();
+        }
+    }
+
+    compact() {
+        this.entries = this.entries.slice(-GROUP_AUDIT_MAX_ENTRIES);
+        const tmpFile = `${this.file}.tmp`;
+        fs.writeFileSync(tmpFile, this.entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+        fs.renameSync(tmpFile, this.file);
+    }
+
+    // source is "api" for calls made through this server and "whatsapp" for events reported by the client
+    record(groupId, source, action, { actor = null, targets = [], before = null, after = null, timestamp } = {}) {
+        const entry = {
+            id: crypto.randomUUID(),
+            seq: ++this.seq,
+            groupId,
+            source,
+            action,
+            actor,
+            targets,
+            before,
+            after,
+            timestamp: timestamp || new Date().toISOString()
+        };
+
+        try {
+            this.entries.push(entry);
+            fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+            // Trim in batches so the file is not rewritten on every entry
+            if (this.entries.length > GROUP_AUDIT_MAX_ENTRIES * 1.1) {
+                this.compact();
+            }
+        } catch (error) {
+            log('error', `Failed to write audit entry: ${error.message}`, this.instanceId);
+        }
+        return entry;
+    }
+
+    // Newest first, paginated like the message history
+    query({ groupId, since, until, action, source, limit = 100, cursor } = {}) {
+        const sinceTime = since ? Date.parse(since) : null;
+        const untilTime = until ? Date.parse(until) : null;
+        const beforeSeq = cursor ? parseInt(Buffer.from(cursor, 'base64url').toString(), 10) : null;
+        const pageSize = Math.min(Math.max(limit, 1), GROUP_AUDIT_QUERY_MAX_LIMIT);
+
+        if ((since && isNaN(sinceTime)) || (until && isNaN(untilTime))) {
+            throw new Error('since and until must be ISO 8601 timestamps');
+        }
+        if (cursor && isNaN(beforeSeq)) {
+            throw new Error('Invalid cursor');
+        }
+
+        const results = [];
+        let hasMore = false;
+
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            const entry = this.entries[i];
+            if ((beforeSeq !== null && entry.seq >= beforeSeq)
+                || (groupId && entry.groupId !== groupId)
+                || (action && entry.action !== action)
+                || (source && entry.source !== source)
+                || (sinceTime !== null && Date.parse(entry.timestamp) < sinceTime)
+                || (untilTime !== null && Date.parse(entry.timestamp) > untilTime)) {
+                continue;
+            }
+
+            if (results.length === pageSize) {
+                hasMore = true;
+                break;
+            }
+            results.push(entry);
+        }
+
+        return {
+            entries: results,
+            nextCursor: hasMore ? Buffer.from(String(results[results.length - 1].seq)).toString('base64url') : null
+        };
+    }
+
+    destroy() {
+        this.entries = [];
+        if (fs.existsSync(this.file)) {
+            fs.rmSync(this.file, { force: true });
+        }
+    }
+}
+
+// API key authentication
+const API_SCOPES = [
+    'instances:read', 'instances:admin', 'messages:send', 'messages:read',
+    'groups:read', 'groups:write', 'contacts:read', 'contacts:write', 'keys:admin', 'metrics:read'
+];
+const API_KEYS_FILE = './data/api-keys.json';
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+// Lets a Prometheus scraper in without an API key
+const METRICS_PUBLIC = process.env.METRICS_PUBLIC === 'true';
+const PUBLIC_PATHS = ['/health', ...(METRICS_PUBLIC ? ['/metrics'] : [])];
+// lastUsedAt is only flushed to disk this often to avoid a write on every request
+const API_KEY_TOUCH_INTERVAL_MS = 60000;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Whether a list of instanceIds or scopes includes every requested one; only "*" grants "*"
+const grantsAll = (granted, requested) => granted.includes('*')
+    || (!requested.includes('*') && requested.every(value => granted.includes(value)));
+
+class ApiKeyStore {
+    constructor(file) {
+        this.file = file;
+        this.keys = readJSON(file, []);
+    }
+
+    save() {
+        writeJSON(this.file, this.keys);
+    }
+
+    // Never expose the hash
+    toPublic(apiKey) {
+        const { hash, ...rest } = apiKey;
+        return rest;
+    }
+
+    // A key only manages keys whose instances and scopes it has itself; no actor (auth disabled) manages all
+    canManage(actor, apiKey) {
+        return !actor || (grantsAll(actor.instanceIds, apiKey.instanceIds) && grantsAll(actor.scopes, apiKey.scopes));
+    }
+
+    // Active key within the actor's reach; keys outside it are reported as not found
+    find(keyId, actor) {
+        const apiKey = this.keys.find(k => k.id === keyId && !k.revokedAt);
+        if (!apiKey || !this.canManage(actor, apiKey)) {
+            throw new ApiError(404, 'API_KEY_NOT_FOUND', 'API key not found');
+        }
+        return apiKey;
+    }
+
+    list(actor = null) {
+        return this.keys
+            .filter(apiKey => this.canManage(actor, apiKey))
+            .map(apiKey => this.toPublic(apiKey));
+    }
+
+    validate({ instanceIds, scopes }) {
+        if (!Array.isArray(instanceIds) || instanceIds.length === 0) {
+            throw new Error('instanceIds must be a non-empty array (use ["*"] for all instances)');
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            throw new Error('scopes must be a non-empty array');
+        }
+
+        const unknown = scopes.filter(scope => scope !== '*' && !API_SCOPES.includes(scope));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+        }
+    }
+
+    generate() {
+        const key = `wa_${crypto.randomBytes(24).toString('hex')}`;
+        return { key, hash: hashApiKey(key), prefix: key.slice(0, 10) };
+    }
+
+    create({ name, instanceIds, scopes }, actor = null) {
+        this.validate({ instanceIds, scopes });
+        if (actor && !grantsAll(actor.instanceIds, instanceIds)) {
+            throw new ApiError(403, 'INSTANCE_FORBIDDEN', 'A key can only be created for instances the creating key can access');
+        }
+        if (actor && !grantsAll(actor.scopes, scopes)) {
+            throw new ApiError(403, 'MISSING_SCOPE', 'A key can only be given scopes the creating key has');
+        }
+
+        const { key, hash, prefix } = this.generate();
+        const apiKey = {
+            id: crypto.randomUUID(),
+            name: name || null,
+            prefix,
+            hash,
+            instanceIds,
+            scopes,
+            createdAt: new Date().toISOString(),
+            createdBy: actor?.id || null,
+            rotatedAt: null,
+            revokedAt: null,
+            lastUsedAt: null
+        };
+
+        this.keys.push(apiKey);
+        this.save();
+        log('info', `API key created: ${apiKey.id} (${apiKey.name || 'unnamed'})`);
+
+        // The plain key is only ever returned here and on rotation
+        return { ...this.toPublic(apiKey), key };
+    }
+
+    rotate(keyId, actor = null) {
+        const apiKey = this.find(keyId, actor);
+
+        const { key, hash, prefix } = this.generate();
+        apiKey.hash = hash;
+        apiKey.prefix = prefix;
+        apiKey.rotatedAt = new Date().toISOString();
+        this.save();
+        log('info', `API key rotated: ${apiKey.id}`);
+
+        return { ...this.toPublic(apiKey), key };
+    }
+
+    revoke(keyId, actor = null) {
+        const apiKey = this.find(keyId, actor);
+
+        apiKey.revokedAt = new Date().toISOString();
+        this.save();
+        log('info', `API key revoked: ${apiKey.id}`);
+
+        return this.toPublic(apiKey);
+    }
+
+    // Resolve a plain key to its record, or null if unknown or revoked
+    verify(key) {
+        if (ADMIN_API_KEY && crypto.timingSafeEqual(
+            Buffer.from(hashApiKey(key), 'hex'),
+            Buffer.from(hashApiKey(ADMIN_API_KEY), 'hex')
+        )) {
+            return { id: 'admin', name: 'ADMIN_API_KEY', instanceIds: ['*'], scopes: ['*'] };
+        }
+
+        const hash = hashApiKey(key);
+        const apiKey = this.keys.find(k => k.hash === hash && !k.revokedAt);
+        if (!apiKey) {
+            return null;
+        }
+
+        const now = Date.now();
+        if (!apiKey.lastUsedAt || now - Date.parse(apiKey.lastUsedAt) > API_KEY_TOUCH_INTERVAL_MS) {
+            apiKey.lastUsedAt = new Date(now).toISOString();
+            this.save();
+        }
+
+        return apiKey;
+    }
+}
+
+const apiKeys = new ApiKeyStore(API_KEYS_FILE);
+
+const canAccessInstance = (apiKey, instanceId) =>
+    apiKey.instanceIds.includes('*') || apiKey.instanceIds.includes(instanceId);
+
+const hasScope = (apiKey, scope) =>
+    AUTH_DISABLED || apiKey.scopes.includes('*') || apiKey.scopes.includes(scope);
+
+// Browsers cannot set headers on EventSource, so streaming routes also accept ?apiKey=
+const QUERY_KEY_PATHS = [/^\/instance\/[^/]+\/events$/, /^\/instance\/[^/]+\/pair$/];
+
+// Resolve the API key of every non-public request and log which key made the call
+const authenticate = (req, res, next) => {
+    if (AUTH_DISABLED || PUBLIC_PATHS.includes(req.path)) {
+        return next();
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const queryKey = QUERY_KEY_PATHS.some(pattern => pattern.test(req.path)) ? req.query.apiKey : null;
+    const key = req.get('X-API-Key') || (authorization.startsWith('Bearer ') ? authorization.slice(7) : null) || queryKey;
+
+    if (!key) {
+        return sendError(res, 401, 'API_KEY_REQUIRED', 'API key is required (X-API-Key header or Authorization: Bearer)');
+    }
+
+    const apiKey = apiKeys.verify(key);
+    if (!apiKey) {
+        return sendError(res, 401, 'INVALID_API_KEY', 'Invalid or revoked API key');
+    }
+
+    req.apiKey = apiKey;
+    next();
+};
+
+// Route guard: the key needs the scope and, when the request targets an instance, access to it
+const requireScope = (scope) => (req, res, next) => {
+    if (AUTH_DISABLED) {
+        return next();
+    }
+
+    const { apiKey } = req;
+    if (!hasScope(apiKey, scope)) {
+        return sendError(res, 403, 'MISSING_SCOPE', `API key is missing the "${scope}" scope`);
+    }
+
+    // Routes read instanceId from different places, so every one the request carries must be allowed and the same
+    const instanceIds = [...new Set([req.params.instanceId, req.body?.instanceId, req.query.instanceId]
+        .flat()
+        .filter(instanceId => instanceId !== undefined && instanceId !== null && instanceId !== '')
+        .map(String))];
+    if (instanceIds.length > 1) {
+        return sendError(res, 403, 'INSTANCE_FORBIDDEN', 'The request names more than one instance');
+    }
+    if (instanceIds.length === 1 && !canAccessInstance(apiKey, instanceIds[0])) {
+        return sendError(res, 403, 'INSTANCE_FORBIDDEN', 'API key is not allowed to access this instance');
+    }
+
+    next();
+};
+
+// Instance lifecycle
+const INSTANCE_STATES = [
+    'initializing', 'qr_pending', 'authenticated', 'ready',
+    'disconnected', 'reconnecting', 'failed', 'logged_out'
+];
+// Disconnect reasons that mean the session was unlinked from the phone
+const LOGOUT_REASONS = ['LOGOUT', 'UNPAIRED', 'UNPAIRED_IDLE'];
+const STATE_HISTORY_SIZE = 50;
+
+// Reconnect defaults, overridable per instance through options.reconnect
+const RECONNECT_DEFAULTS = {
+    enabled: process.env.RECONNECT_ENABLED !== 'false',
+    maxAttempts: parseInt(process.env.RECONNECT_MAX_ATTEMPTS, 10) || 10,
+    baseDelayMs: parseInt(process.env.RECONNECT_BASE_DELAY_MS, 10) || 5000,
+    maxDelayMs: parseInt(process.env.RECONNECT_MAX_DELAY_MS, 10) || 300000
+};
+
+// Prometheus metrics
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+// Resident memory of a process from /proc (Linux only); null when unavailable
+const readProcessMemory = async (pid) => {
+    try {
+        const status = await fs.promises.readFile(`/proc/${pid}/status`, 'utf8');
+        const match = status.match(/^VmRSS:\s+(\d+) kB/m);
+        return match ? parseInt(match[1], 10) * 1024 : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const metrics = {
+    instanceState: new promClient.Gauge({
+        name: 'whatsapp_instance_state',
+        help: 'Current lifecycle state of each instance (1 for the active state)',
+        labelNames: ['instance_id', 'state'],
+        registers: [metricsRegistry],
+        collect() {
+            this.reset();
+            for (const [instanceId, client] of clients) {
+                for (const state of INSTANCE_STATES) {
+                    this.set({ instance_id: instanceId, state }, client.state === state ? 1 : 0);
+                }
+            }
+        }
+    }),
+    instanceReady: new promClient.Gauge({
+        name: 'whatsapp_instance_ready',
+        help: 'Whether the instance is ready to send (1) or not (0)',
+        labelNames: ['instance_id'],
+        registers: [metricsRegistry],
+        collect() {
+            this.reset();
+            for (const [instanceId, client] of clients) {
+                this.set({ instance_id: instanceId }, client.isReady ? 1 : 0);
+            }
+        }
+    }),
+    stateChangedAt: new promClient.Gauge({
+        name: 'whatsapp_instance_state_changed_timestamp_seconds',
+        help: 'Unix time of the last state change',
+        labelNames: ['instance_id'],
+        registers: [metricsRegistry],
+        collect() {
+            this.reset();
+            for (const [instanceId, client] of clients) {
+                if (client.stateChangedAt) {
+                    this.set({ instance_id: instanceId }, Date.parse(client.stateChangedAt) / 1000);
+                }
+            }
+        }
+    }),
+    browserMemory: new promClient.Gauge({
+        name: 'whatsapp_browser_memory_bytes',
+        help: 'Resident memory of the puppeteer browser process',
+        labelNames: ['instance_id'],
+        registers: [metricsRegistry],
+        async collect() {
+            this.reset();
+            for (const [instanceId, client] of clients) {
+                const pid = client.client.pupBrowser?.process()?.pid;
+                const bytes = pid ? await readProcessMemory(pid) : null;
+                if (bytes !== null) {
+                    this.set({ instance_id: instanceId }, bytes);
+                }
+            }
+        }
+    }),
+    reconnects: new promClient.Counter({
+        name: 'whatsapp_reconnects_total',
+        help: 'Reconnect attempts, automatic and manual',
+        labelNames: ['instance_id'],
+        registers: [metricsRegistry]
+    }),
+    messagesSent: new promClient.Counter({
+        name: 'whatsapp_messages_sent_total',
+        help: 'Messages sent successfully',
+        labelNames: ['instance_id', 'type'],
+        registers: [metricsRegistry]
+    }),
+    messagesFailed: new promClient.Counter({
+        name: 'whatsapp_messages_failed_total',
+        help: 'Messages that failed to send',
+        labelNames: ['instance_id', 'type'],
+        registers: [metricsRegistry]
+    }),
+    messagesReceived: new promClient.Counter({
+        name: 'whatsapp_messages_received_total',
+        help: 'Incoming messages',
+        labelNames: ['instance_id'],
+        registers: [metricsRegistry]
+    }),
+    groupOperations: new promClient.Counter({
+        name: 'whatsapp_group_operations_total',
+        help: 'Group changes made through the API',
+        labelNames: ['instance_id', 'operation', 'result'],
+        registers: [metricsRegistry]
+    }),
+    // Labelled by route pattern, not the raw path, to keep the number of series bounded
+    httpRequestDuration: new promClient.Histogram({
+        name: 'http_request_duration_seconds',
+        help: 'HTTP request latency',
+        labelNames: ['method', 'route', 'status'],
+        buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+        registers: [metricsRegistry]
+    })
+};
+
+// Drop every series of a deleted instance; remove() only matches a complete label set
+const removeInstanceMetrics = async (instanceId) => {
+    for (const metric of Object.values(metrics)) {
+        if (!metric.labelNames.includes('instance_id')) {
+            continue;
+        }
+        const { values } = await metric.get();
+        values
+            .filter(({ labels }) => labels.instance_id === instanceId)
+            .forEach(({ labels }) => metric.remove(labels));
+    }
+};
+
+class WhatsAppAPI {
+    constructor(instanceId, options = {}) {
+        // A NaN delay would make setTimeout fire immediately
+        validateIntegerOptions(options.reconnect, { maxAttempts: 0, baseDelayMs: 0, maxDelayMs: 0 }, 'options.reconnect');
+        if (options.reconnect?.enabled !== undefined && typeof options.reconnect.enabled !== 'boolean') {
+            throw new ApiError(400, 'VALIDATION_ERROR', 'options.reconnect.enabled must be a boolean');
+        }
+
+        this.instanceId = instanceId;
+        this.options = options;
+        this.client = new Client({
+            authStrategy: new LocalAuth({
+                clientId: instanceId,
+                dataPath: `./auth/${instanceId}`
+            }),
+            userAgent: options.userAgent || undefined,
+            puppeteer: {
+                headless: options.headless !== false,
+                args: [
+                    '--no-sandbox',
+                    '--disable-setuid-sandbox',
+                    '--disable-dev-shm-usage',
+                    '--disable-accelerated-2d-canvas',
+                    '--no-first-run',
+                    '--no-zygote',
+                    '--single-process',
+                    '--disable-gpu'
+                ]
+            }
+        });
+
+        this.qrCode = null;
+        this.pairingCode = null;
+        this.state = null;
+        this.stateChangedAt = null;
+        this.lastError = null;
+        this.history = [];
+        this.reconnect = { ...RECONNECT_DEFAULTS, ...(options.reconnect || {}) };
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.stopped = false;
+        this.defaultCountryCode = options.defaultCountryCode !== undefined
+            ? String(options.defaultCountryCode).replace(/\D/g, '')
+            : DEFAULT_COUNTRY_CODE;
+        this.verifyRecipients = options.verifyRecipients !== undefined ? !!options.verifyRecipients : VERIFY_RECIPIENTS;
+        this.webhooks = new WebhookManager(instanceId);
+        this.events = new EventStream(instanceId);
+        this.messageStore = new MessageStore(instanceId);
+        this.polls = new PollStore(instanceId);
+        this.mediaSpool = new MediaSpool(instanceId);
+        this.groupCache = new GroupCache(this);
+        this.audit = new GroupAuditLog(instanceId);
+        this.queue = new MessageQueue(this);
+        this.schedules = new ScheduleManager(this);
+        this.campaigns = new CampaignManager(this);
+        this.autoReplies = new AutoReplyManager(this);
+        this.setupEventListeners();
+        this.webhooks.resumePending();
+    }
+
+    get isReady() {
+        return this.state === 'ready';
+    }
+
+    setState(state, reason = null) {
+        if (!INSTANCE_STATES.includes(state)) {
+            throw new Error(`Unknown instance state: ${state}`);
+        }
+        if (this.state === state) {
+            return;
+        }
+
+        const transition = {
+            from: this.state,
+            to: state,
+            at: new Date().toISOString(),
+            reason
+        };
+
+        this.state = state;
+        this.stateChangedAt = transition.at;
+        this.history.push(transition);
+        if (this.history.length > STATE_HISTORY_SIZE) {
+            this.history.shift();
+        }
+
+        log('info', `State: ${transition.from || 'none'} -> ${state}${reason ? ` (${reason})` : ''}`, this.instanceId);
+        this.dispatchEvent('state_change', transition);
+    }
+
+    // Schedule the next reconnect attempt with exponential backoff
+    scheduleReconnect() {
+        if (this.stopped || !this.reconnect.enabled || this.reconnectTimer) {
+            return;
+        }
+
+        if (this.reconnectAttempts >= this.reconnect.maxAttempts) {
+            this.lastError = `Gave up reconnecting after ${this.reconnectAttempts} attempts`;
+            this.setState('failed', this.lastError);
+            return;
+        }
+
+        this.reconnectAttempts++;
+        const delay = Math.min(
+            this.reconnect.baseDelayMs * Math.pow(2, this.reconnectAttempts - 1),
+            this.reconnect.maxDelayMs
+        );
+
+        this.setState('reconnecting', `attempt ${this.reconnectAttempts}/${this.reconnect.maxAttempts} in ${delay}ms`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.restart();
+        }, delay);
+    }
+
+    // Tear down the browser and start a fresh client session
+    async restart() {
+        if (this.stopped) {
+            return;
+        }
+
+        metrics.reconnects.inc({ instance_id: this.instanceId });
+
+        try {
+            await this.client.destroy();
+        } catch (error) {
+            log('warn', `Failed to destroy client before reconnect: ${error.message}`, this.instanceId);
+        }
+
+        try {
+            await this.client.initialize();
+        } catch (error) {
+            this.lastError = error.message;
+            log('error', `Reconnect attempt ${this.reconnectAttempts} failed: ${error.message}`, this.instanceId);
+            this.scheduleReconnect();
+        }
+    }
+
+    // Manual reconnect, resetting the attempt counter
+    async forceReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        this.stopped = false;
+        this.reconnectAttempts = 0;
+        this.setState('reconnecting', 'manual reconnect');
+        await this.restart();
+
+        return this.getStatus();
+    }
+
+    // Persist a message to the local history (duplicates are ignored)
+    recordMessage(msg) {
+        try {
+            this.messageStore.save(msg);
+        } catch (error) {
+            log('error', `Failed to record message: ${error.message}`, this.instanceId);
+        }
+    }
+
+    // Forward a client event to every interested consumer
+    dispatchEvent(event, data = {}) {
+        try {
+            this.events.publish(event, data);
+            this.webhooks.dispatch(event, data);
+        } catch (error) {
+            log('error', `Failed to dispatch ${event} event: ${error.message}`, this.instanceId);
+        }
+    }
+
+    setupEventListeners() {
+        this.client.on('qr', (qr) => {
+            log('info', 'QR Code generated', this.instanceId);
+            qrcode.generate(qr, { small: true });
+            this.qrCode = qr;
+            this.setState('qr_pending');
+            this.dispatchEvent('qr', { qr });
+        });
+
+        // Emitted when a pairing code is issued or refreshed after requestPairingCode()
+        this.client.on('code', (code) => {
+            log('info', 'Pairing code generated', this.instanceId);
+            this.pairingCode = code;
+            this.dispatchEvent('pairing_code', { code });
+        });
+
+        this.client.on('ready', () => {
+            log('info', 'Client is ready!', this.instanceId);
+            this.qrCode = null;
+            this.pairingCode = null;
+            this.reconnectAttempts = 0;
+            this.lastError = null;
+            this.setState('ready');
+            this.dispatchEvent('ready');
+            this.queue.resume();
+            this.schedules.start();
+            this.groupCache.warm();
+        });
+
+        this.client.on('authenticated', () => {
+            log('info', 'Client authenticated', this.instanceId);
+            this.setState('authenticated');
+            this.dispatchEvent('authenticated');
+        });
+
+        this.client.on('auth_failure', (msg) => {
+            log('error', `Authentication failed: ${msg}`, this.instanceId);
+            this.qrCode = null;
+            this.lastError = `Authentication failed: ${msg}`;
+            this.setState('failed', this.lastError);
+            this.dispatchEvent('auth_failure', { message: msg });
+        });
+
+        this.client.on('disconnected', (reason) => {
+            log('warn', `Client disconnected: ${reason}`, this.instanceId);
+            this.qrCode = null;
+            this.groupCache.clear();
+            this.dispatchEvent('disconnected', { reason });
+
+            if (LOGOUT_REASONS.includes(reason)) {
+                // The phone unlinked this session, a new QR scan is needed
+                this.lastError = `Logged out: ${reason}`;
+                this.setState('logged_out', reason);
+                return;
+            }
+
+            this.setState('disconnected', reason);
+            this.scheduleReconnect();
+        });
+
+        // Incoming messages
+        this.client.on('message', (msg) => {
+            metrics.messagesReceived.inc({ instance_id: this.instanceId });
+            this.recordMessage(msg);
+            this.dispatchEvent('message', serializeMessage(msg));
+            try {
+                this.autoReplies.handle(msg);
+            } catch (error) {
+                log('error', `Auto-reply failed: ${error.message}`, this.instanceId);
+            }
+        });
+
+        // Every message created, including the ones we send
+        this.client.on('message_create', (msg) => {
+            this.recordMessage(msg);
+            this.dispatchEvent('message_create', serializeMessage(msg));
+        });
+
+        this.client.on('message_ack', (msg, ack) => {
+            try {
+                this.messageStore.updateAck(msg.id._serialized, ack);
+            } catch (error) {
+                log('error', `Failed to record ack: ${error.message}`, this.instanceId);
+            }
+            this.dispatchEvent('message_ack', { ...serializeMessage(msg), ack });
+        });
+
+        this.client.on('vote_update', (vote) => {
+            let poll = null;
+            try {
+                poll = this.polls.recordVote(vote);
+            } catch (error) {
+                log('error', `Failed to record poll vote: ${error.message}`, this.instanceId);
+            }
+            if (poll) {
+                this.dispatchEvent('poll_vote', poll);
+            }
+        });
+
+        this.client.on('group_join', (notification) => {
+            this.dispatchEvent('group_join', serializeGroupNotification(notification));
+        });
+
+        this.client.on('group_leave', (notification) => {
+            this.dispatchEvent('group_leave', serializeGroupNotification(notification));
+        });
+
+        // Audit group events, then refresh the cache; the audit reads the old values from it
+        for (const event of GROUP_CACHE_EVENTS) {
+            this.client.on(event, (notification) => {
+                this.recordGroupEvent(event, notification);
+                this.groupCache.invalidate(notification.chatId);
+            });
+        }
+
+        this.client.on('chat_removed', (chat) => {
+            this.groupCache.remove(chat.id._serialized);
+        });
+    }
+
+    recordGroupEvent(event, notification) {
+        const groupId = notification.chatId;
+        const field = event === 'group_update' ? GROUP_UPDATE_FIELDS[notification.type] : null;
+        let before = null;
+        let after = null;
+
+        if (field) {
+            const cached = this.groupCache.peek(groupId);
+            before = cached ? { [field]: serializeGroup(cached, { includeParticipants: false })[field] } : null;
+            after = notification.body ? { [field]: notification.body } : null;
+        }
+
+        this.audit.record(groupId, 'whatsapp', notification.type || event, {
+            actor: { type: 'whatsapp', id: notification.author || null },
+            targets: (notification.recipientIds || []).map(id => id?._serialized || id),
+            before,
+            after,
+            timestamp: notification.timestamp ? new Date(notification.timestamp * 1000).toISOString() : undefined
+        });
+    }
+
+    // Audit a change made through the API, attributed to the calling key, and count it
+    recordGroupChange(groupId, action, details = {}) {
+        this.audit.record(groupId, 'api', action, { actor: currentActor(), ...details });
+        metrics.groupOperations.inc({ instance_id: this.instanceId, operation: action, result: 'success' });
+    }
+
+    recordGroupFailure(action) {
+        metrics.groupOperations.inc({ instance_id: this.instanceId, operation: action, result: 'failure' });
+    }
+
+    async initialize() {
+        this.setState('initializing');
+
+        try {
+            await this.client.initialize();
+            log('info', 'Client initialization started', this.instanceId);
+            return { success: true };
+        } catch (error) {
+            log('error', `Failed to initialize: ${error.message}`, this.instanceId);
+            this.lastError = error.message;
+            this.setState('failed', error.message);
+            // A failed first boot (including restored instances) is retried like a dropped connection
+            this.scheduleReconnect();
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Resolve a number or chat id using this instance's default country code
+    resolveChatId(to) {
+        return toChatId(to, this.defaultCountryCode);
+    }
+
+    // Check a number against WhatsApp; getNumberId returns the canonical id for registered numbers
+    async checkNumber(to) {
+        const parsed = parseRecipient(to, this.defaultCountryCode);
+        if (!parsed.valid || parsed.type !== 'user') {
+            return { ...parsed, registered: parsed.valid ? null : false };
+        }
+
+        const numberId = await this.client.getNumberId(parsed.number);
+        return {
+            ...parsed,
+            chatId: numberId ? numberId._serialized : parsed.chatId,
+            registered: !!numberId
+        };
+    }
+
+    // Chat id used for outgoing messages; optionally refuses numbers that are not on WhatsApp
+    async resolveRecipient(to) {
+        if (!this.verifyRecipients) {
+            return this.resolveChatId(to);
+        }
+
+        const result = await this.checkNumber(to);
+        if (!result.valid) {
+            throw new ApiError(400, 'INVALID_NUMBER', `Invalid number "${to}": ${result.error}`);
+        }
+        if (result.registered === false) {
+            throw new ApiError(400, 'NUMBER_NOT_REGISTERED', `${to} is not registered on WhatsApp`);
+        }
+        return result.chatId;
+    }
+
+    async validateNumbers(numbers, checkRegistered = false) {
+        if (checkRegistered && !this.isReady) {
+            throw notReadyError();
+        }
+
+        const results = [];
+        for (const number of numbers) {
+            if (!checkRegistered) {
+                results.push(parseRecipient(number, this.defaultCountryCode));
+                continue;
+            }
+            try {
+                results.push(await this.checkNumber(number));
+            } catch (error) {
+                results.push({ ...parseRecipient(number, this.defaultCountryCode), registered: null, error: error.message });
+            }
+        }
+
+        log('info', `Validated ${numbers.length} numbers`, this.instanceId);
+        return results;
+    }
+
+    async sendMessage(to, message, options = {}) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const chatId = await this.resolveRecipient(to);
+
+            // linkPreview is left to the library default unless set explicitly
+            const result = await this.client.sendMessage(chatId, message,
+                options.linkPreview !== undefined ? { linkPreview: !!options.linkPreview } : {});
+            this.recordMessage(result);
+            metrics.messagesSent.inc({ instance_id: this.instanceId, type: 'text' });
+            
+            log('info', `Message sent to ${to}`, this.instanceId);
+            
+            return {
+                success: true,
+                messageId: result.id._serialized,
+                timestamp: result.timestamp,
+                to: result.to
+            };
+        } catch (error) {
+            metrics.messagesFailed.inc({ instance_id: this.instanceId, type: 'text' });
+            log('error', `Failed to send message: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to send message');
+        }
+    }
+
+    // Send a poll, location or contact card payload from parseMessagePayload.
+    // progress.sent lists the messages already sent for this payload; onProgress runs after each one
+    async sendTypedMessage(to, type, payload, progress = { sent: [] }, onProgress = () => {}) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const chatId = await this.resolveRecipient(to);
+            const { sent } = progress;
+            const track = (result) => {
+                this.recordMessage(result);
+                sent.push({ messageId: result.id._serialized, timestamp: result.timestamp, to: result.to });
+                onProgress();
+            };
+
+            if (type === 'poll') {
+                const { question, options, allowMultipleAnswers } = payload.poll;
+                const result = await this.client.sendMessage(chatId, new Poll(question, options, { allowMultipleAnswers }));
+                this.polls.register(result, payload.poll);
+                track(result);
+            } else if (type === 'location') {
+                const { latitude, longitude, name, address, url } = payload.location;
+                track(await this.client.sendMessage(chatId, new Location(latitude, longitude, { name, address, url })));
+            } else if (type === 'contact') {
+                // One card per contact keeps each vCard linked to its WhatsApp account (a multi-card
+                // message only takes Contact models and drops the name, organization and email).
+                // A retried job skips the cards an earlier attempt already sent
+                for (const contact of payload.contacts.slice(sent.length)) {
+                    track(await this.client.sendMessage(chatId, toVCard(contact)));
+                }
+            } else {
+                throw new Error(`Unsupported message type "${type}"`);
+            }
+
+            metrics.messagesSent.inc({ instance_id: this.instanceId, type });
+
+            log('info', `${type} message sent to ${to}`, this.instanceId);
+
+            const [first] = sent;
+            return {
+                success: true,
+                messageId: first.messageId,
+                ...(sent.length > 1 ? { messageIds: sent.map(message => message.messageId) } : {}),
+                timestamp: first.timestamp,
+                to: first.to
+            };
+        } catch (error) {
+            metrics.messagesFailed.inc({ instance_id: this.instanceId, type });
+            log('error', `Failed to send ${type} message: ${error.message}`, this.instanceId);
+            throw wrapError(error, `Failed to send ${type} message`);
+        }
+    }
+
+    // Build a MessageMedia from base64 data, an uploaded file or a path inside MEDIA_LOCAL_DIR
+    loadMedia({ data, mimetype, filename, filePath }) {
+        if (data) {
+            if (!mimetype) {
+                throw new ApiError(400, 'VALIDATION_ERROR', 'mimetype is required when sending base64 data');
+            }
+            // Accept data URLs as well as bare base64
+            const base64 = data.replace(/^data:[^;]+;base64,/, '');
+            return new MessageMedia(mimetype, base64, filename || null);
+        }
+
+        if (filePath) {
+            const resolvedPath = path.resolve(MEDIA_LOCAL_DIR, filePath);
+            if (!resolvedPath.startsWith(MEDIA_LOCAL_DIR + path.sep)) {
+                throw new ApiError(400, 'VALIDATION_ERROR', `filePath must be inside ${MEDIA_LOCAL_DIR}`);
+            }
+            if (!fs.existsSync(resolvedPath)) {
+                throw new ApiError(400, 'VALIDATION_ERROR', `File not found: ${filePath}`);
+            }
+
+            const media = MessageMedia.fromFilePath(resolvedPath);
+            if (mimetype) {
+                media.mimetype = mimetype;
+            }
+            if (filename) {
+                media.filename = filename;
+            }
+            return media;
+        }
+
+        throw new ApiError(400, 'VALIDATION_ERROR', 'Media data or filePath is required');
+    }
+
+    async sendMedia(to, media, options = {}) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const chatId = await this.resolveRecipient(to);
+
+            const messageMedia = this.loadMedia(media);
+            const result = await this.client.sendMessage(chatId, messageMedia, {
+                caption: options.caption || undefined,
+                sendMediaAsDocument: !!options.asDocument,
+                sendAudioAsVoice: !!options.asVoice,
+                sendMediaAsSticker: !!options.asSticker
+            });
+
+            this.recordMessage(result);
+            metrics.messagesSent.inc({ instance_id: this.instanceId, type: 'media' });
+
+            log('info', `Media (${messageMedia.mimetype}) sent to ${to}`, this.instanceId);
+
+            return {
+                success: true,
+                messageId: result.id._serialized,
+                timestamp: result.timestamp,
+                to: result.to
+            };
+        } catch (error) {
+            metrics.messagesFailed.inc({ instance_id: this.instanceId, type: 'media' });
+            log('error', `Failed to send media: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to send media');
+        }
+    }
+
+    // Group chat from the cache; GROUP_NOT_FOUND when the id is unknown or not a group
+    async getGroupChat(groupId, fresh = false) {
+        const chat = await this.groupCache.getChat(groupId, fresh);
+        if (!chat || !chat.isGroup) {
+            throw new ApiError(404, 'GROUP_NOT_FOUND', `Group ${groupId} not found`);
+        }
+        return chat;
+    }
+
+    async createGroup(groupName, participants) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const formattedParticipants = participants.map(participant => this.resolveChatId(participant));
+
+            const group = await this.client.createGroup(groupName, formattedParticipants);
+            
+            this.groupCache.invalidate(group.gid._serialized);
+            this.recordGroupChange(group.gid._serialized, 'create', {
+                targets: formattedParticipants,
+                after: { name: groupName }
+            });
+            log('info', `Group created: ${groupName} with ${participants.length} participants`, this.instanceId);
+            
+            return {
+                success: true,
+                groupId: group.gid._serialized,
+                groupName: groupName,
+                participants: formattedParticipants,
+                inviteCode: group.inviteCode || null
+            };
+        } catch (error) {
+            this.recordGroupFailure('create');
+            log('error', `Failed to create group: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to create group');
+        }
+    }
+
+    // clearDescription lets reconcile apply an empty description; the settings route skips it
+    async updateGroupSettings(groupId, settings, { clearDescription = false } = {}) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const chat = await this.getGroupChat(groupId);
+
+            // Snapshot for the audit log, the setters update the chat object in place
+            const before = serializeGroup(chat, { includeParticipants: false });
+            const results = {};
+
+            // Update group subject (name)
+            if (settings.subject || settings.name) {
+                await chat.setSubject(settings.subject || settings.name);
+                results.subject = settings.subject || settings.name;
+                log('info', `Group subject updated: ${settings.subject || settings.name}`, this.instanceId);
+            }
+
+            // Update group description
+            if (settings.description || (clearDescription && settings.description === '')) {
+                await chat.setDescription(settings.description);
+                results.description = settings.description;
+                log('info', `Group description updated`, this.instanceId);
+            }
+
+            // Update group settings (messagesAdminsOnly, editGroupInfoAdminsOnly)
+            if (settings.messagesAdminsOnly !== undefined) {
+                await chat.setMessagesAdminsOnly(settings.messagesAdminsOnly);
+                results.messagesAdminsOnly = settings.messagesAdminsOnly;
+                log('info', `Messages admins only: ${settings.messagesAdminsOnly}`, this.instanceId);
+            }
+
+            if (settings.editGroupInfoAdminsOnly !== undefined) {
+                await chat.setInfoAdminsOnly(settings.editGroupInfoAdminsOnly);
+                results.editGroupInfoAdminsOnly = settings.editGroupInfoAdminsOnly;
+                log('info', `Edit info admins only: ${settings.editGroupInfoAdminsOnly}`, this.instanceId);
+            }
+
+            this.groupCache.invalidate(groupId);
+            if (Object.keys(results).length > 0) {
+                // results uses "subject" for the group name
+                const fieldFor = (key) => key === 'subject' ? 'name' : key;
+                this.recordGroupChange(groupId, 'update_settings', {
+                    before: Object.fromEntries(Object.keys(results).map(key => [fieldFor(key), before[fieldFor(key)]])),
+                    after: Object.fromEntries(Object.entries(results).map(([key, value]) => [fieldFor(key), value]))
+                });
+            }
+
+            return {
+                success: true,
+                groupId: groupId,
+                updatedSettings: results
+            };
+        } catch (error) {
+            this.recordGroupFailure('update_settings');
+            log('error', `Failed to update group settings: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to update group settings');
+        }
+    }
+
+    async addParticipants(groupId, participants, asAdmin = false) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const chat = await this.getGroupChat(groupId);
+
+            const formattedParticipants = participants.map(participant => this.resolveChatId(participant));
+
+            // Add participants
+            const result = await chat.addParticipants(formattedParticipants);
+            
+            // If asAdmin is true, promote them to admin
+            if (asAdmin) {
+                for (const participant of formattedParticipants) {
+                    try {
+                        await chat.promoteParticipants([participant]);
+                        log('info', `Promoted ${participant} to admin`, this.instanceId);
+                    } catch (error) {
+                        log('warn', `Failed to promote ${participant}: ${error.message}`, this.instanceId);
+                    }
+                }
+            }
+
+            this.groupCache.invalidate(groupId);
+            this.recordGroupChange(groupId, 'add_participants', {
+                targets: formattedParticipants,
+                after: { asAdmin }
+            });
+            log('info', `Added ${participants.length} participants to group`, this.instanceId);
+
+            return {
+                success: true,
+                groupId: groupId,
+                addedParticipants: formattedParticipants,
+                asAdmin: asAdmin,
+                result: result
+            };
+        } catch (error) {
+            this.recordGroupFailure('add_participants');
+            log('error', `Failed to add participants: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to add participants');
+        }
+    }
+
+    async promoteParticipants(groupId, participants) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const chat = await this.getGroupChat(groupId);
+
+            const formattedParticipants = participants.map(participant => this.resolveChatId(participant));
+
+            await chat.promoteParticipants(formattedParticipants);
+            
+            this.groupCache.invalidate(groupId);
+            this.recordGroupChange(groupId, 'promote_participants', { targets: formattedParticipants });
+            log('info', `Promoted ${participants.length} participants to admin`, this.instanceId);
+
+            return {
+                success: true,
+                groupId: groupId,
+                promotedParticipants: formattedParticipants
+            };
+        } catch (error) {
+            this.recordGroupFailure('promote_participants');
+            log('error', `Failed to promote participants: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to promote participants');
+        }
+    }
+
+    async demoteParticipants(groupId, participants) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const chat = await this.getGroupChat(groupId);
+
+            const formattedParticipants = participants.map(participant => this.resolveChatId(participant));
+
+            await chat.demoteParticipants(formattedParticipants);
+            
+            this.groupCache.invalidate(groupId);
+            this.recordGroupChange(groupId, 'demote_participants', { targets: formattedParticipants });
+            log('info', `Demoted ${participants.length} participants from admin`, this.instanceId);
+
+            return {
+                success: true,
+                groupId: groupId,
+                demotedParticipants: formattedParticipants
+            };
+        } catch (error) {
+            this.recordGroupFailure('demote_participants');
+            log('error', `Failed to demote participants: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to demote participants');
+        }
+    }
+
+    async removeParticipants(groupId, participants) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const chat = await this.getGroupChat(groupId, true);
+
+            const formattedParticipants = participants.map(participant => this.resolveChatId(participant));
+
+            // whatsapp-web.js drops non-members without telling, so they are reported here; members may be listed by lid
+            const memberIds = new Set((chat.participants || []).flatMap(p => [p.id?._serialized, p.phoneNumber?._serialized || p.phoneNumber]));
+            const members = formattedParticipants.filter(participant => memberIds.has(participant));
+            if (members.length > 0) {
+                await chat.removeParticipants(members);
+            }
+
+            // Same shape as the per-participant result of addParticipants
+            const result = Object.fromEntries(formattedParticipants.map(participant => [participant, members.includes(participant)
+                ? { code: 200, message: 'The participant was removed from the group' }
+                : { code: 404, message: 'The participant is not in the group' }
+            ]));
+
+            this.groupCache.invalidate(groupId);
+            this.recordGroupChange(groupId, 'remove_participants', { targets: members });
+            log('info', `Removed ${members.length} of ${participants.length} participants from group`, this.instanceId);
+
+            return {
+                success: true,
+                groupId: groupId,
+                removedParticipants: members,
+                result: result
+            };
+        } catch (error) {
+            this.recordGroupFailure('remove_participants');
+            log('error', `Failed to remove participants: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to remove participants');
+        }
+    }
+
+    async leaveGroup(groupId) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const chat = await this.getGroupChat(groupId);
+
+            await chat.leave();
+
+            // Drop it from the cached list too, like the chat_removed handler
+            this.groupCache.remove(chat.id._serialized);
+            this.recordGroupChange(groupId, 'leave');
+            log('info', `Left group ${groupId}`, this.instanceId);
+
+            return {
+                success: true,
+                groupId: groupId,
+                groupName: chat.name,
+                message: 'Left group successfully'
+            };
+        } catch (error) {
+            this.recordGroupFailure('leave');
+            log('error', `Failed to leave group: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to leave group');
+        }
+    }
+
+    async getMembershipRequests(groupId) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const chat = await this.getGroupChat(groupId);
+
+            const requests = await chat.getGroupMembershipRequests();
+
+            log('info', `Retrieved ${requests.length} membership requests for ${groupId}`, this.instanceId);
+
+            return {
+                success: true,
+                groupId: groupId,
+                requests: requests.map(request => ({
+                    id: request.id?._serialized || request.id,
+                    addedBy: request.addedBy?._serialized || request.addedBy || null,
+                    parentGroupId: request.parentGroupId?._serialized || request.parentGroupId || null,
+                    requestMethod: request.requestMethod,
+                    requestedAt: request.t || null
+                }))
+            };
+        } catch (error) {
+            log('error', `Failed to get membership requests: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to get membership requests');
+        }
+    }
+
+    // Approve or reject pending membership requests; no requesterIds means every pending request
+    async respondToMembershipRequests(groupId, requesterIds, approve) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        const action = approve ? 'approve' : 'reject';
+
+        try {
+            const chat = await this.getGroupChat(groupId);
+
+            const formattedRequesters = requesterIds ? requesterIds.map(requesterId => this.resolveChatId(requesterId)) : null;
+            const options = { requesterIds: formattedRequesters };
+            const result = approve
+                ? await chat.approveGroupMembershipRequests(options)
+                : await chat.rejectGroupMembershipRequests(options);
+
+            this.groupCache.invalidate(groupId);
+            this.recordGroupChange(groupId, `${action}_membership_requests`, {
+                targets: result.map(r => r.requesterId)
+            });
+            log('info', `${approve ? 'Approved' : 'Rejected'} ${result.length} membership requests`, this.instanceId);
+
+            return {
+                success: true,
+                groupId: groupId,
+                [approve ? 'approvedRequests' : 'rejectedRequests']: result.map(r => r.requesterId),
+                result: result
+            };
+        } catch (error) {
+            this.recordGroupFailure(`${action}_membership_requests`);
+            log('error', `Failed to ${action} membership requests: ${error.message}`, this.instanceId);
+            throw wrapError(error, `Failed to ${action} membership requests`);
+        }
+    }
+
+    // Participants are left out unless includeParticipants is set, they dominate the payload on large accounts
+    async getAllGroups(includeParticipants = true, fresh = false) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const groups = await this.groupCache.getGroups(fresh);
+            const me = this.client.info?.wid?._serialized || null;
+            
+            log('info', `Retrieved ${groups.length} groups`, this.instanceId);
+            
+            return groups.map(group => serializeGroup(group, { includeParticipants, me }));
+        } catch (error) {
+            log('error', `Failed to get groups: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to get groups');
+        }
+    }
+
+    async getGroupById(groupId, fresh = false) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const chat = await this.getGroupChat(groupId, fresh);
+
+            log('info', `Retrieved group info for ${groupId}`, this.instanceId);
+            
+            return serializeGroup(chat, { me: this.client.info?.wid?._serialized || null });
+        } catch (error) {
+            log('error', `Failed to get group: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to get group');
+        }
+    }
+
+    // Log in by entering a code on the phone instead of scanning the QR code
+    async requestPairingCode(phoneNumber, showNotification = true) {
+        if (typeof this.client.requestPairingCode !== 'function') {
+            throw new ApiError(501, 'NOT_SUPPORTED', 'Pairing codes need a newer whatsapp-web.js version');
+        }
+        if (this.state !== 'qr_pending') {
+            throw new ApiError(409, 'INVALID_STATE', `Pairing codes can only be requested while waiting for login (state is ${this.state})`);
+        }
+
+        const cleanNumber = phoneNumber.replace(/\D/g, '');
+        const code = await this.client.requestPairingCode(cleanNumber, showNotification);
+        this.pairingCode = code;
+        log('info', `Pairing code requested for ${cleanNumber}`, this.instanceId);
+
+        return { success: true, phoneNumber: cleanNumber, pairingCode: code };
+    }
+
+    // Ack status from the local history, falling back to the live client for untracked messages
+    async getMessageStatus(messageId) {
+        const record = this.messageStore.get(messageId);
+        if (record) {
+            return { ...formatAckStatus(record), tracked: true };
+        }
+
+        if (!this.isReady) {
+            return null;
+        }
+
+        try {
+            const msg = await this.client.getMessageById(messageId);
+            if (!msg) {
+                return null;
+            }
+
+            return {
+                ...formatAckStatus({
+                    id: messageId,
+                    chatId: msg.fromMe ? msg.to : msg.from,
+                    direction: msg.fromMe ? 'outbound' : 'inbound',
+                    ack: msg.ack,
+                    ackHistory: []
+                }),
+                tracked: false
+            };
+        } catch (error) {
+            log('warn', `Failed to look up message ${messageId}: ${error.message}`, this.instanceId);
+            return null;
+        }
+    }
+
+    // Message the client can act on; 404 when WhatsApp Web does not know it
+    async getMessage(messageId) {
+        const msg = await this.client.getMessageById(messageId);
+        if (!msg) {
+            throw new ApiError(404, 'MESSAGE_NOT_FOUND', `Message ${messageId} not found`);
+        }
+        return msg;
+    }
+
+    // Own messages only, for the actions WhatsApp limits to the sender
+    async getOwnMessage(messageId, action) {
+        const msg = await this.getMessage(messageId);
+        if (!msg.fromMe) {
+            throw new ApiError(409, 'INVALID_STATE', `Only messages sent by this instance can be ${action}`);
+        }
+        return msg;
+    }
+
+    async replyToMessage(messageId, message) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const msg = await this.getMessage(messageId);
+            const result = await msg.reply(message);
+            this.recordMessage(result);
+            metrics.messagesSent.inc({ instance_id: this.instanceId, type: 'text' });
+
+            log('info', `Replied to message ${messageId}`, this.instanceId);
+
+            return {
+                success: true,
+                messageId: result.id._serialized,
+                quotedMessageId: messageId,
+                timestamp: result.timestamp,
+                to: result.to
+            };
+        } catch (error) {
+            metrics.messagesFailed.inc({ instance_id: this.instanceId, type: 'text' });
+            log('error', `Failed to reply to message: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to reply to message');
+        }
+    }
+
+    // An empty reaction removes ours
+    async reactToMessage(messageId, reaction) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const msg = await this.getMessage(messageId);
+            await msg.react(reaction);
+            log('info', `Reacted to message ${messageId}${reaction ? ` with ${reaction}` : ' (removed)'}`, this.instanceId);
+
+            return {
+                success: true,
+                messageId,
+                reaction
+            };
+        } catch (error) {
+            log('error', `Failed to react to message: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to react to message');
+        }
+    }
+
+    async editMessage(messageId, message) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const msg = await this.getOwnMessage(messageId, 'edited');
+            if (typeof msg.edit !== 'function') {
+                throw new ApiError(501, 'NOT_SUPPORTED', 'Editing messages needs a newer whatsapp-web.js version');
+            }
+
+            // WhatsApp only allows edits for a short time after sending
+            const edited = await msg.edit(message);
+            if (!edited) {
+                throw new ApiError(409, 'INVALID_STATE', 'Message can no longer be edited');
+            }
+
+            log('info', `Edited message ${messageId}`, this.instanceId);
+
+            return {
+                success: true,
+                messageId,
+                body: edited.body
+            };
+        } catch (error) {
+            log('error', `Failed to edit message: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to edit message');
+        }
+    }
+
+    // Whether WhatsApp still lets us revoke a message: ours or as a group admin, and not too old.
+    // whatsapp-web.js does not expose this, so it asks WhatsApp Web the same way Message.delete does
+    async canRevokeMessage(messageId) {
+        return this.client.pupPage.evaluate(async (msgId) => {
+            const { Msg } = window.require('WAWebCollections');
+            const msg = Msg.get(msgId) || (await Msg.getMessagesById([msgId]))?.messages?.[0];
+            const capability = window.require('WAWebMsgActionCapability');
+            return !!msg && (capability.canSenderRevokeMsg(msg) || capability.canAdminRevokeMsg(msg));
+        }, messageId);
+    }
+
+    // Message.delete(true) silently deletes only for us when revoking is not allowed, so that case is refused up front
+    async deleteMessage(messageId, forEveryone = false) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const msg = await this.getMessage(messageId);
+            if (forEveryone && !(await this.canRevokeMessage(msg.id._serialized))) {
+                throw new ApiError(409, 'INVALID_STATE', 'WhatsApp no longer allows deleting this message for everyone');
+            }
+            await msg.delete(forEveryone);
+            log('info', `Deleted message ${messageId}${forEveryone ? ' for everyone' : ''}`, this.instanceId);
+
+            return {
+                success: true,
+                messageId,
+                forEveryone
+            };
+        } catch (error) {
+            log('error', `Failed to delete message: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to delete message');
+        }
+    }
+
+    async forwardMessage(messageId, recipients) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        let msg;
+        try {
+            msg = await this.getMessage(messageId);
+        } catch (error) {
+            log('error', `Failed to forward message: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to forward message');
+        }
+
+        // Each chat is reported on its own, one bad number does not stop the rest
+        const results = [];
+        const errors = [];
+        for (const to of recipients) {
+            try {
+                const chatId = await this.resolveRecipient(to);
+                await msg.forward(chatId);
+                results.push({ to, chatId });
+            } catch (error) {
+                errors.push({ to, error: error.message });
+            }
+        }
+
+        log('info', `Forwarded message ${messageId} to ${results.length}/${recipients.length} chat(s)`, this.instanceId);
+
+        return {
+            success: true,
+            messageId,
+            results,
+            errors,
+            summary: {
+                total: recipients.length,
+                successful: results.length,
+                failed: errors.length
+            }
+        };
+    }
+
+    async starMessage(messageId, starred) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const msg = await this.getMessage(messageId);
+            await (starred ? msg.star() : msg.unstar());
+            log('info', `${starred ? 'Starred' : 'Unstarred'} message ${messageId}`, this.instanceId);
+
+            return {
+                success: true,
+                messageId,
+                starred
+            };
+        } catch (error) {
+            log('error', `Failed to ${starred ? 'star' : 'unstar'} message: ${error.message}`, this.instanceId);
+            throw wrapError(error, `Failed to ${starred ? 'star' : 'unstar'} message`);
+        }
+    }
+
+    // duration (seconds) is one of MESSAGE_PIN_DURATIONS, 7 days by default; ignored when unpinning
+    async pinMessage(messageId, pinned, duration = MESSAGE_PIN_DURATIONS[1]) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const msg = await this.getMessage(messageId);
+            if (typeof msg.pin !== 'function') {
+                throw new ApiError(501, 'NOT_SUPPORTED', 'Pinning messages needs a newer whatsapp-web.js version');
+            }
+
+            const done = await (pinned ? msg.pin(duration) : msg.unpin());
+            if (!done) {
+                throw new ApiError(409, 'INVALID_STATE', `WhatsApp refused to ${pinned ? 'pin' : 'unpin'} the message`);
+            }
+
+            log('info', `${pinned ? 'Pinned' : 'Unpinned'} message ${messageId}`, this.instanceId);
+
+            return {
+                success: true,
+                messageId,
+                pinned,
+                ...(pinned ? { duration } : {})
+            };
+        } catch (error) {
+            log('error', `Failed to ${pinned ? 'pin' : 'unpin'} message: ${error.message}`, this.instanceId);
+            throw wrapError(error, `Failed to ${pinned ? 'pin' : 'unpin'} message`);
+        }
+    }
+
+    // Contact ids are phone numbers or user/lid chat ids; groups and broadcasts are not contacts
+    resolveContactId(contactId) {
+        const parsed = parseRecipient(contactId, this.defaultCountryCode);
+        if (!parsed.valid || !['user', 'lid'].includes(parsed.type)) {
+            throw new ApiError(400, 'INVALID_NUMBER', `Invalid contact "${contactId}": ${parsed.error || 'not a user'}`);
+        }
+        return parsed.chatId;
+    }
+
+    // Address book and known WhatsApp users sorted by display name; the cursor is the last contact of the previous page
+    async listContacts({ q, myContacts, business, blocked, limit = 100, cursor } = {}) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        let after = null;
+        if (cursor) {
+            try {
+                after = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+            } catch (error) {
+                throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid cursor');
+            }
+        }
+
+        try {
+            const search = q ? q.toLowerCase() : null;
+            const sortName = (contact) => (contact.name || contact.pushname || contact.number || '').toLowerCase();
+            const compare = (aName, aId, bName, bId) => aName < bName ? -1 : aName > bName ? 1 : aId.localeCompare(bId);
+
+            const matching = (await this.client.getContacts())
+                .filter(contact => contact.isUser && !contact.isMe)
+                .map(serializeContact)
+                .filter(contact => !search || [contact.name, contact.pushname, contact.number]
+                    .some(value => value && value.toLowerCase().includes(search)))
+                .filter(contact => myContacts === undefined || contact.isMyContact === myContacts)
+                .filter(contact => business === undefined || contact.isBusiness === business)
+                .filter(contact => blocked === undefined || contact.isBlocked === blocked)
+                .sort((a, b) => compare(sortName(a), a.id, sortName(b), b.id));
+
+            const start = after
+                ? matching.findIndex(contact => compare(sortName(contact), contact.id, after.name, after.id) > 0)
+                : 0;
+            const page = start === -1 ? [] : matching.slice(start, start + limit);
+            const last = page[page.length - 1];
+            const hasMore = start !== -1 && start + limit < matching.length;
+
+            return {
+                contacts: page,
+                total: matching.length,
+                nextCursor: hasMore
+                    ? Buffer.from(JSON.stringify({ name: sortName(last), id: last.id })).toString('base64url')
+                    : null
+            };
+        } catch (error) {
+            log('error', `Failed to list contacts: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to list contacts');
+        }
+    }
+
+    async getContact(contactId) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const id = this.resolveContactId(contactId);
+            const contact = await this.client.getContactById(id);
+
+            // Both are hidden by the contact's privacy settings, which WhatsApp reports as errors
+            const [about, profilePicUrl] = await Promise.all([
+                contact.getAbout().catch(() => null),
+                this.client.getProfilePicUrl(id).catch(() => null)
+            ]);
+
+            return {
+                ...serializeContact(contact),
+                about: about || null,
+                profilePicUrl: profilePicUrl || null
+            };
+        } catch (error) {
+            log('error', `Failed to get contact: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to get contact');
+        }
+    }
+
+    async blockContact(contactId, blocked) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const id = this.resolveContactId(contactId);
+            const contact = await this.client.getContactById(id);
+            await (blocked ? contact.block() : contact.unblock());
+
+            log('info', `${blocked ? 'Blocked' : 'Unblocked'} contact ${id}`, this.instanceId);
+
+            return {
+                success: true,
+                contactId: id,
+                blocked
+            };
+        } catch (error) {
+            log('error', `Failed to ${blocked ? 'block' : 'unblock'} contact: ${error.message}`, this.instanceId);
+            throw wrapError(error, `Failed to ${blocked ? 'block' : 'unblock'} contact`);
+        }
+    }
+
+    async getBlockedContacts() {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const contacts = await this.client.getBlockedContacts();
+            return contacts.map(serializeContact);
+        } catch (error) {
+            log('error', `Failed to get blocked contacts: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to get blocked contacts');
+        }
+    }
+
+    async getProfile() {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            const { wid, pushname, platform } = this.client.info;
+            const me = await this.client.getContactById(wid._serialized);
+            const [about, profilePicUrl] = await Promise.all([
+                me.getAbout().catch(() => null),
+                this.client.getProfilePicUrl(wid._serialized).catch(() => null)
+            ]);
+
+            return {
+                id: wid._serialized,
+                number: wid.user,
+                name: pushname || null,
+                about: about || null,
+                profilePicUrl: profilePicUrl || null,
+                platform: platform || null
+            };
+        } catch (error) {
+            log('error', `Failed to get profile: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to get profile');
+        }
+    }
+
+    // Only the given fields are changed
+    async updateProfile({ name, about }) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            if (name !== undefined) {
+                const changed = await this.client.setDisplayName(name);
+                if (!changed) {
+                    throw new ApiError(409, 'INVALID_STATE', 'WhatsApp does not allow changing the profile name of this account');
+                }
+                this.client.info.pushname = name;
+            }
+            if (about !== undefined) {
+                await this.client.setStatus(about);
+            }
+
+            log('info', 'Profile updated', this.instanceId);
+
+            return {
+                success: true,
+                ...(name !== undefined ? { name } : {}),
+                ...(about !== undefined ? { about } : {})
+            };
+        } catch (error) {
+            log('error', `Failed to update profile: ${error.message}`, this.instanceId);
+            throw wrapError(error, 'Failed to update profile');
+        }
+    }
+
+    // media is a loadMedia source; null removes the picture
+    async setProfilePicture(media) {
+        if (!this.isReady) {
+            throw notReadyError();
+        }
+
+        try {
+            let changed;
+            if (media) {
+                const messageMedia = this.loadMedia(media);
+                if (!messageMedia.mimetype || !messageMedia.mimetype.startsWith('image/')) {
+                    throw new ApiError(400, 'VALIDATION_ERROR', 'The profile picture must be an image');
+                }
+                changed = await this.client.setProfilePicture(messageMedia);
+            } else {
+                changed = await this.client.deleteProfilePicture();
+            }
+
+            if (!changed) {
+                throw new ApiError(409, 'INVALID_STATE', `WhatsApp refused to ${media ? 'update' : 'remove'} the profile picture`);
+            }
+
+            log('info', `Profile picture ${media ? 'updated' : 'removed'}`, this.instanceId);
+
+            return {
+                success: true,
+                removed: !media
+            };
+        } catch (error) {
+            log('error', `Failed to ${media ? 'update' : 'remove'} profile picture: ${error.message}`, this.instanceId);
+            throw wrapError(error, `Failed to ${media ? 'update' : 'remove'} profile picture`);
+        }
+    }
+
+    // Changes needed to move a group (as returned by getGroupById) to the desired state
+    planGroupChanges(current, desired) {
+        const changes = [];
+        const selfId = this.client.info?.wid?._serialized;
+
+        if (desired.subject !== undefined && desired.subject !== current.name) {
+            changes.push({ type: 'subject', from: current.name, to: desired.subject });
+        }
+
+        if (desired.description !== undefined && desired.description !== current.description) {
+            changes.push({ type: 'description', from: current.description, to: desired.description });
+        }
+
+        for (const setting of ['messagesAdminsOnly', 'editGroupInfoAdminsOnly']) {
+            const value = desired.settings?.[setting];
+            if (value !== undefined && value !== current[setting]) {
+                changes.push({ type: 'setting', target: setting, from: current[setting], to: value });
+            }
+        }
+
+        const currentMembers = new Set(current.participants.map(p => p.id));
+        const currentAdmins = new Set(current.participants.filter(p => p.isAdmin || p.isSuperAdmin).map(p => p.id));
+        const superAdmins = new Set(current.participants.filter(p => p.isSuperAdmin).map(p => p.id));
+        const desiredAdmins = desired.admins ? new Set(desired.admins.map(admin => this.resolveChatId(admin))) : null;
+
+        // Admins are members too
+        if (desired.members) {
+            const desiredMembers = new Set([...desired.members.map(member => this.resolveChatId(member)), ...(desiredAdmins || [])]);
+
+            for (const id of desiredMembers) {
+                if (!currentMembers.has(id)) {
+                    changes.push({ type: 'add', target: id });
+                }
+            }
+            for (const id of currentMembers) {
+                // Never remove ourselves or the group creator
+                if (!desiredMembers.has(id) && id !== selfId && !superAdmins.has(id)) {
+                    changes.push({ type: 'remove', target: id });
+                }
+            }
+        }
+
+        if (desiredAdmins) {
+            for (const id of desiredAdmins) {
+                if (!currentAdmins.has(id)) {
+                    changes.push({ type: 'promote', target: id });
+                }
+            }
+            const removed = new Set(changes.filter(c => c.type === 'remove').map(c => c.target));
+            for (const id of currentAdmins) {
+                // Removed members lose admin rights anyway
+                if (!desiredAdmins.has(id) && id !== selfId && !superAdmins.has(id) && !removed.has(id)) {
+                    changes.push({ type: 'demote', target: id });
+                }
+            }
+        }
+
+        // Removals go last, once new members and admins are in place
+        return [...changes.filter(c => c.type !== 'remove'), ...changes.filter(c => c.type === 'remove')];
+    }
+
+    async applyGroupChange(groupId, change) {
+        switch (change.type) {
+            case 'subject':
+                return this.updateGroupSettings(groupId, { subject: change.to });
+            case 'description':
+                return this.updateGroupSettings(groupId, { description: change.to }, { clearDescription: true });
+            case 'setting':
+                return this.updateGroupSettings(groupId, { [change.target]: change.to });
+            case 'add':
+                return this.addParticipants(groupId, [change.target]);
+            case 'remove':
+                return this.removeParticipants(groupId, [change.target]);
+            case 'promote':
+                return this.promoteParticipants(groupId, [change.target]);
+            case 'demote':
+                return this.demoteParticipants(groupId, [change.target]);
+            default:
+                throw new Error(`Unknown change type: ${change.type}`);
+        }
+    }
+
+    // Compute the diff against the live group and, unless dryRun, apply each change and report its outcome
+    async reconcileGroup(groupId, desired, dryRun = false) {
+        // Always plan against live data, never the cache
+        const current = await this.getGroupById(groupId, true);
+        const changes = this.planGroupChanges(current, desired);
+
+        if (dryRun) {
+            return {
+                success: true,
+                groupId: groupId,
+                dryRun: true,
+                changes: changes.map(change => ({ ...change, status: 'planned' }))
+            };
+        }
+
+        const results = [];
+        for (const change of changes) {
+            try {
+                const outcome = await this.applyGroupChange(groupId, change);
+
+                // Adds and removes report refused participants (403, 408, 409...) in their result instead of throwing
+                if (change.type === 'add' || change.type === 'remove') {
+                    const participantResult = typeof outcome.result === 'string'
+                        ? { code: null, message: outcome.result }
+                        : outcome.result?.[change.target];
+                    if (participantResult && participantResult.code !== 200) {
+                        results.push({ ...change, status: 'failed', code: participantResult.code, error: participantResult.message });
+                        continue;
+                    }
+                }
+
+                results.push({ ...change, status: 'applied' });
+            } catch (error) {
+                results.push({ ...change, status: 'failed', error: error.message });
+            }
+        }
+
+        const failed = results.filter(r => r.status === 'failed').length;
+        log('info', `Reconciled group ${groupId}: ${results.length - failed} applied, ${failed} failed`, this.instanceId);
+
+        return {
+            success: failed === 0,
+            groupId: groupId,
+            dryRun: false,
+            changes: results,
+            summary: {
+                total: results.length,
+                applied: results.length - failed,
+                failed: failed
+            }
+        };
+    }
+
+    getStatus() {
+        return {
+            instanceId: this.instanceId,
+            state: this.state,
+            isReady: this.isReady,
+            hasQR: !!this.qrCode,
+            hasPairingCode: !!this.pairingCode,
+            stateChangedAt: this.stateChangedAt,
+            lastError: this.lastError,
+            reconnectAttempts: this.reconnectAttempts,
+            history: this.history
+        };
+    }
+
+    async disconnect() {
+        // Stop the supervisor so an intentional shutdown is not treated as a drop
+        this.stopped = true;
+        this.queue.stop();
+        this.schedules.stop();
+        this.webhooks.flush();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        try {
+            log('info', 'Disconnecting client', this.instanceId);
+            await this.client.destroy();
+            return { success: true };
+        } catch (error) {
+            log('error', `Failed to disconnect: ${error.message}`, this.instanceId);
+            return { success: false, error: error.message };
+        }
+    }
+    async getOrCreateGroupInviteLink(groupId, forceCreate = false) {
+    if (!this.isReady) {
+        throw notReadyError();
+    }
+
+    try {
+        const chat = await this.getGroupChat(groupId);
+
+        let inviteCode = null;
+        let inviteLink = null;
+        let created = false;
+
+        // Try to get existing invite code first
+        try {
+            inviteCode = await chat.getInviteCode();
+            if (inviteCode && !forceCreate) {
+                inviteLink = `https://chat.whatsapp.com/${inviteCode}`;
+                log('info', `Retrieved existing group invite link for ${groupId}`, this.instanceId);
+            }
+        } catch (error) {
+            log('warn', `No existing invite code found: ${error.message}`, this.instanceId);
+        }
+
+        // If no invite code exists or forceCreate is true, create a new one
+        if (!inviteCode || forceCreate) {
+            try {
+                const previousCode = inviteCode;
+
+                // Revoke existing code first if forceCreate is true
+                if (forceCreate && inviteCode) {
+                    await chat.revokeInvite();
+                    log('info', `Revoked existing invite code for ${groupId}`, this.instanceId);
+                }
+                
+                // Create new invite code
+                inviteCode = await chat.getInviteCode();
+                inviteLink = `https://chat.whatsapp.com/${inviteCode}`;
+                created = true;
+                this.recordGroupChange(groupId, 'create_invite_link', {
+                    before: { inviteCode: previousCode || null },
+                    after: { inviteCode }
+                });
+                log('info', `Created new group invite link for ${groupId}`, this.instanceId);
+            } catch (error) {
+                this.recordGroupFailure('create_invite_link');
+                log('error', `Failed to create invite code: ${error.message}`, this.instanceId);
+                throw wrapError(error, 'Failed to create group invite link');
+            }
+        }
+
+        return {
+            success: true,
+            groupId: groupId,
+            inviteCode: inviteCode,
+            inviteLink: inviteLink,
+            created: created,
+            groupName: chat.name
+        };
+    } catch (error) {
+        log('error', `Failed to get/create group invite link: ${error.message}`, this.instanceId);
+        throw wrapError(error, 'Failed to get/create group invite link');
+    }
+}
+
+async revokeGroupInviteLink(groupId) {
+    if (!this.isReady) {
+        throw notReadyError();
+    }
+
+    try {
+        const chat = await this.getGroupChat(groupId);
+
+        await chat.revokeInvite();
+        this.recordGroupChange(groupId, 'revoke_invite_link');
+        log('info', `Revoked group invite link for ${groupId}`, this.instanceId);
+
+        return {
+            success: true,
+            groupId: groupId,
+            message: 'Group invite link revoked successfully',
+            groupName: chat.name
+        };
+    } catch (error) {
+        this.recordGroupFailure('revoke_invite_link');
+        log('error', `Failed to revoke group invite link: ${error.message}`, this.instanceId);
+        throw wrapError(error, 'Failed to revoke group invite link');
+    }
+}
+}
+
+// OpenAPI document, also the source of the request schemas
+const openApiDocument = buildOpenApiDocument({
+    version,
+    apiScopes: API_SCOPES,
+    webhookEvents: WEBHOOK_EVENTS,
+    jobStatuses: JOB_STATUSES,
+    catchUpPolicies: CATCH_UP_POLICIES,
+    recipientStatuses: RECIPIENT_STATUSES,
+    groupFields: GROUP_FIELDS,
+    groupSortFields: GROUP_SORT_FIELDS,
+    groupFilters: GROUP_FILTERS,
+    messageTypes: MESSAGE_TYPES,
+    limits: {
+        numberValidateBatchMax: NUMBER_VALIDATE_BATCH_MAX,
+        pollMaxOptions: POLL_MAX_OPTIONS,
+        contactCardsMax: CONTACT_CARDS_MAX,
+        messageStatusBatchMax: MESSAGE_STATUS_BATCH_MAX,
+        messageForwardMax: MESSAGE_FORWARD_MAX,
+        messagePinDurations: MESSAGE_PIN_DURATIONS,
+        broadcastMaxRecipients: BROADCAST_MAX_RECIPIENTS,
+        groupPageMax: GROUP_PAGE_MAX
+    }
+});
+
+// JSON bodies are checked as sent; path, query and multipart values are strings and get coerced
+const ajv = addFormats(new Ajv({ allErrors: true, strict: false }));
+const coercingAjv = addFormats(new Ajv({ allErrors: true, strict: false, coerceTypes: 'array' }));
+const requestValidators = new Map();
+
+// Express route path to OpenAPI path: /x/:id(a|b) -> /x/{id}
+const toOpenApiPath = (routePath) => routePath.replace(/:(\w+)(\([^)]*\))?/g, '{$1}');
+
+// Schemas reference #/components, so each one is compiled inside a copy of them
+const compileSchema = (validator, schema) => validator.compile({ allOf: [schema], components: openApiDocument.components });
+
+const resolveParameter = (parameter) => parameter.$ref
+    ? openApiDocument.components.parameters[parameter.$ref.split('/').pop()]
+    : parameter;
+
+const buildRequestValidator = (operation) => {
+    const parameters = (operation.parameters || []).map(resolveParameter);
+    const compileParameters = (location) => {
+        const matching = parameters.filter(parameter => parameter.in === location);
+        return matching.length === 0 ? null : compileSchema(coercingAjv, {
+            type: 'object',
+            properties: Object.fromEntries(matching.map(parameter => [parameter.name, parameter.schema])),
+            required: matching.filter(parameter => parameter.required).map(parameter => parameter.name)
+        });
+    };
+    const content = operation.requestBody?.content || {};
+
+    return {
+        path: compileParameters('path'),
+        query: compileParameters('query'),
+        json: content['application/json'] ? compileSchema(ajv, content['application/json'].schema) : null,
+        multipart: content['multipart/form-data'] ? compileSchema(coercingAjv, content['multipart/form-data'].schema) : null
+    };
+};
+
+const getRequestValidator = (method, routePath) => {
+    const key = `${method} ${routePath}`;
+    if (!requestValidators.has(key)) {
+        const operation = openApiDocument.paths[toOpenApiPath(routePath)]?.[method];
+        requestValidators.set(key, operation ? buildRequestValidator(operation) : null);
+    }
+    return requestValidators.get(key);
+};
+
+const formatValidationErrors = (location, errors) => errors.map(error => ({
+    location,
+    path: [location, ...error.instancePath.split('/').filter(Boolean)].join('.'),
+    message: error.message
+}));
+
+// Route guard: validate params, query and body against the route's OpenAPI operation
+const validateRequest = (req, res, next) => {
+    const validator = getRequestValidator(req.method.toLowerCase(), req.route.path);
+    if (!validator) {
+        return next();
+    }
+
+    const details = [];
+    const check = (validate, location, data) => {
+        if (validate && !validate(data)) {
+            details.push(...formatValidationErrors(location, validate.errors));
+        }
+    };
+
+    // Copies, so coercion does not change what the handler sees
+    check(validator.path, 'params', { ...req.params });
+    check(validator.query, 'query', { ...req.query });
+    if (req.is('multipart/form-data')) {
+        check(validator.multipart, 'body', { ...req.body });
+    } else {
+        check(validator.json, 'body', req.body || {});
+    }
+
+    if (details.length > 0) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `${details[0].path} ${details[0].message}`, details);
+    }
+
+    next();
+};
+
+// API documentation (public)
+app.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+
+app.use('/docs', swaggerUi.serve, swaggerUi.setup(openApiDocument));
+
+// Authentication
+app.use(authenticate);
+
+// Get or create group invite link
+app.get('/group/:groupId/invite-link', requireScope('groups:write'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, forceCreate } = req.query;
+        const { groupId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const shouldForceCreate = forceCreate === 'true';
+        const result = await client.getOrCreateGroupInviteLink(groupId, shouldForceCreate);
+        
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// Alternative POST route for creating invite link
+app.post('/group/:groupId/invite-link', requireScope('groups:write'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, forceCreate = false } = req.body;
+        const { groupId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const result = await client.getOrCreateGroupInviteLink(groupId, forceCreate);
+        
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// Revoke group invite link
+app.delete('/group/:groupId/invite-link', requireScope('groups:write'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId } = req.body;
+        const { groupId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const result = await client.revokeGroupInviteLink(groupId);
+        
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// Batch get invite links for multiple groups
+app.post('/groups/invite-links/batch', requireScope('groups:write'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, groupIds, forceCreate = false } = req.body;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const results = [];
+        const errors = [];
+
+        for (const groupId of groupIds) {
+            try {
+                const result = await client.getOrCreateGroupInviteLink(groupId, forceCreate);
+                results.push(result);
+            } catch (error) {
+                errors.push({
+                    groupId: groupId,
+                    error: error.message
+                });
+            }
+        }
+
+        res.json({
+            success: true,
+            results: results,
+            errors: errors,
+            summary: {
+                total: groupIds.length,
+                successful: results.length,
+                failed: errors.length
+            }
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+// API Routes
+
+// Create new instance
+app.post('/instance/create', requireScope('instances:admin'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, options = {} } = req.body;
+
+        if (clients.has(instanceId)) {
+            return sendError(res, 409, 'INSTANCE_EXISTS', 'Instance already exists');
+        }
+
+        const whatsappAPI = new WhatsAppAPI(instanceId, options);
+        clients.set(instanceId, whatsappAPI);
+        registerInstance(instanceId, options);
+
+        await whatsappAPI.initialize();
+        
+        log('info', `Instance created: ${instanceId}`, instanceId);
+        
+        res.json({
+            success: true,
+            instanceId,
+            message: 'Instance created successfully'
+        });
+    } catch (error) {
+        log('error', `Failed to create instance: ${error.message}`);
+        handleError(res, error);
+    }
+});
+
+// List every known instance
+app.get('/instances', requireScope('instances:read'), validateRequest, (req, res) => {
+    const registry = loadRegistry();
+
+    const instances = Object.values(registry)
+        .filter(entry => AUTH_DISABLED || canAccessInstance(req.apiKey, entry.instanceId))
+        .map(entry => {
+            const client = clients.get(entry.instanceId);
+            return {
+                ...(client ? client.getStatus() : { instanceId: entry.instanceId, state: null, isReady: false, hasQR: false }),
+                loaded: !!client,
+                createdAt: entry.createdAt,
+                options: entry.options
+            };
+        });
+
+    res.json({
+        success: true,
+        data: instances
+    });
+});
+
+// Get instance status
+app.get('/instance/:instanceId/status', requireScope('instances:read'), validateRequest, (req, res) => {
+    const { instanceId } = req.params;
+    const client = clients.get(instanceId);
+
+    if (!client) {
+        return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+    }
+
+    res.json({
+        success: true,
+        data: client.getStatus()
+    });
+});
+
+// Reconnect an instance (e.g. after it gave up or failed)
+app.post('/instance/:instanceId/reconnect', requireScope('instances:admin'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const status = await client.forceReconnect();
+        res.json({
+            success: true,
+            data: status
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// Stream instance events (Server-Sent Events), optionally filtered with ?types=qr,message
+app.get('/instance/:instanceId/events', requireScope('instances:read'), validateRequest, (req, res) => {
+    const { instanceId } = req.params;
+    const client = clients.get(instanceId);
+
+    if (!client) {
+        return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+    }
+
+    // Validation coerces a one-item array (?types[]=qr) to a string only in its own copy
+    const requestedTypes = req.query.types ? [].concat(req.query.types).join(',').split(',').map(type => type.trim()) : null;
+    const unknownTypes = (requestedTypes || []).filter(type => !WEBHOOK_EVENTS.includes(type));
+    if (unknownTypes.length > 0) {
+        return sendError(res, 400, 'VALIDATION_ERROR', `Unknown event types: ${unknownTypes.join(', ')}`);
+    }
+
+    // Drop event types the key has no scope for
+    const allowedTypes = (requestedTypes || WEBHOOK_EVENTS).filter(type =>
+        !EVENT_SCOPES[type] || hasScope(req.apiKey, EVENT_SCOPES[type])
+    );
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+        if (!allowedTypes.includes(event.type)) {
+            return;
+        }
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Current status first (without an id so it does not move the resume point), then missed events
+    res.write('retry: 3000\n');
+    res.write(`event: status\ndata: ${JSON.stringify(client.getStatus())}\n\n`);
+    client.events.since(lastEventId).forEach(send);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_HEARTBEAT_MS);
+    const unsubscribe = client.events.subscribe(send, () => {
+        clearInterval(heartbeat);
+        res.end();
+    });
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Get QR Code
+app.get('/instance/:instanceId/qr', requireScope('instances:admin'), validateRequest, async (req, res) => {
+    const { instanceId } = req.params;
+    const client = clients.get(instanceId);
+
+    if (!client) {
+        return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+    }
+
+    if (!client.qrCode) {
+        return sendError(res, 409, 'QR_NOT_AVAILABLE', 'QR Code not available. Instance might be already connected.');
+    }
+
+    const { format } = req.query;
+
+    try {
+        if (format === 'png') {
+            const png = await QRCode.toBuffer(client.qrCode, { type: 'png', width: 300, margin: 2 });
+            return res.type('png').send(png);
+        }
+
+        if (format === 'svg') {
+            const svg = await QRCode.toString(client.qrCode, { type: 'svg', margin: 2 });
+            return res.type('svg').send(svg);
+        }
+
+        if (format === 'dataurl') {
+            return res.json({
+                success: true,
+                qrCode: client.qrCode,
+                dataUrl: await QRCode.toDataURL(client.qrCode, { width: 300, margin: 2 })
+            });
+        }
+    } catch (error) {
+        return sendError(res, 500, 'INTERNAL_ERROR', `Failed to render QR code: ${error.message}`);
+    }
+
+    res.json({
+        success: true,
+        qrCode: client.qrCode
+    });
+});
+
+// Request a pairing code to log in with a phone number instead of the QR code
+app.post('/instance/:instanceId/pairing-code', requireScope('instances:admin'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { phoneNumber, showNotification = true } = req.body;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const result = await client.requestPairingCode(String(phoneNumber), showNotification !== false);
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// Browser pairing page (pass ?apiKey= when authentication is enabled); admin like the pairing code it requests
+app.get('/instance/:instanceId/pair', requireScope('instances:admin'), validateRequest, (req, res) => {
+    const { instanceId } = req.params;
+
+    if (!clients.has(instanceId)) {
+        return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+    }
+
+    res.type('html').send(PAIRING_PAGE_HTML);
+});
+
+// Register a webhook
+app.post('/instance/:instanceId/webhooks', requireScope('instances:admin'), validateRequest, (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { url, events, secret, enabled } = req.body;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const webhook = client.webhooks.register({ url, events, secret, enabled });
+        res.json({
+            success: true,
+            data: webhook
+        });
+    } catch (error) {
+        handleError(res, error, 400);
+    }
+});
+
+// List webhooks
+app.get('/instance/:instanceId/webhooks', requireScope('instances:admin'), validateRequest, (req, res) => {
+    const { instanceId } = req.params;
+    const client = clients.get(instanceId);
+
+    if (!client) {
+        return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+    }
+
+    res.json({
+        success: true,
+        data: client.webhooks.list(),
+        availableEvents: WEBHOOK_EVENTS
+    });
+});
+
+// Webhook delivery log
+app.get('/instance/:instanceId/webhooks/deliveries', requireScope('instances:admin'), validateRequest, (req, res) => {
+    const { instanceId } = req.params;
+    const { webhookId, status, event, limit } = req.query;
+    const client = clients.get(instanceId);
+
+    if (!client) {
+        return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+    }
+
+    const deliveries = client.webhooks.getDeliveries({
+        webhookId,
+        status,
+        event,
+        limit: parseInt(limit, 10) || 50
+    });
+
+    res.json({
+        success: true,
+        data: deliveries
+    });
+});
+
+// Replay a webhook delivery
+app.post('/instance/:instanceId/webhooks/deliveries/:deliveryId/replay', requireScope('instances:admin'), validateRequest, (req, res) => {
+    try {
+        const { instanceId, deliveryId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const delivery = client.webhooks.replay(deliveryId);
+        res.json({
+            success: true,
+            data: delivery
+        });
+    } catch (error) {
+        handleError(res, error, 404);
+    }
+});
+
+// Update a webhook
+app.put('/instance/:instanceId/webhooks/:webhookId', requireScope('instances:admin'), validateRequest, (req, res) => {
+    try {
+        const { instanceId, webhookId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const webhook = client.webhooks.update(webhookId, req.body);
+        res.json({
+            success: true,
+            data: webhook
+        });
+    } catch (error) {
+        handleError(res, error, 400);
+    }
+});
+
+// Remove a webhook
+app.delete('/instance/:instanceId/webhooks/:webhookId', requireScope('instances:admin'), validateRequest, (req, res) => {
+    try {
+        const { instanceId, webhookId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        client.webhooks.remove(webhookId);
+        res.json({
+            success: true,
+            message: 'Webhook removed successfully'
+        });
+    } catch (error) {
+        handleError(res, error, 404);
+    }
+});
+
+// Normalize numbers and optionally check that they are registered on WhatsApp
+app.post('/numbers/validate', requireScope('messages:send'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, numbers, checkRegistered = false } = req.body;
+
+        if (!instanceId) {
+            if (checkRegistered) {
+                return sendError(res, 400, 'VALIDATION_ERROR', 'instanceId is required when checkRegistered is true');
+            }
+
+            const results = numbers.map(number => parseRecipient(number));
+            return res.json({
+                success: true,
+                valid: results.filter(result => result.valid).length,
+                invalid: results.filter(result => !result.valid).length,
+                results
+            });
+        }
+
+        const client = clients.get(instanceId);
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const results = await client.validateNumbers(numbers, !!checkRegistered);
+        res.json({
+            success: true,
+            valid: results.filter(result => result.valid).length,
+            invalid: results.filter(result => !result.valid).length,
+            ...(checkRegistered ? { registered: results.filter(result => result.registered).length } : {}),
+            results
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// Send message
+app.post('/message/send', requireScope('messages:send'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, to } = req.body;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const recipient = parseRecipient(to, client.defaultCountryCode);
+        if (!recipient.valid) {
+            return sendError(res, 400, 'INVALID_NUMBER', `Invalid number "${to}": ${recipient.error}`);
+        }
+
+        const { type, payload } = parseMessagePayload(req.body, client.defaultCountryCode);
+
+        // queue: false sends immediately and fails if the client is not ready
+        if (req.body.queue === false) {
+            const result = type === 'text'
+                ? await client.sendMessage(to, payload.message, { linkPreview: payload.linkPreview })
+                : await client.sendTypedMessage(to, type, payload);
+            return res.json(result);
+        }
+
+        const job = client.queue.enqueue(type, to, payload);
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            to
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// Send media (base64 JSON body, multipart upload in the "file" field, or a local file path)
+app.post('/message/send-media', mediaJsonParser, mediaUpload.single('file'), requireScope('messages:send'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, to, caption, filename, mimetype, data, filePath } = req.body;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        if (!req.file && !data && !filePath) {
+            return sendError(res, 400, 'VALIDATION_ERROR', 'One of "file" upload, "data" or "filePath" is required');
+        }
+
+        const recipient = parseRecipient(to, client.defaultCountryCode);
+        if (!recipient.valid) {
+            return sendError(res, 400, 'INVALID_NUMBER', `Invalid number "${to}": ${recipient.error}`);
+        }
+
+        // Multipart fields arrive as strings
+        const isTrue = (value) => value === true || value === 'true';
+
+        const media = req.file
+            ? {
+                data: req.file.buffer.toString('base64'),
+                mimetype: mimetype || req.file.mimetype,
+                filename: filename || req.file.originalname
+            }
+            : { data, mimetype, filename, filePath };
+
+        const options = {
+            caption,
+            asDocument: isTrue(req.body.asDocument),
+            asVoice: isTrue(req.body.asVoice),
+            asSticker: isTrue(req.body.asSticker)
+        };
+
+        if (req.body.queue === false || req.body.queue === 'false') {
+            const result = await client.sendMedia(to, media, options);
+            return res.json(result);
+        }
+
+        // Fail fast on bad media instead of when the job runs
+        client.loadMedia(media);
+
+        const job = client.queue.enqueue('media', to, { media, options });
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            to
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// Get queued message job status
+app.get('/message/job/:jobId', requireScope('messages:send'), validateRequest, (req, res) => {
+    const { jobId } = req.params;
+
+    for (const client of clients.values()) {
+        const job = client.queue.getJob(jobId);
+
+        // Jobs on instances the key cannot access are reported as missing
+        if (job && (AUTH_DISABLED || canAccessInstance(req.apiKey, job.instanceId))) {
+            return res.json({
+                success: true,
+                data: client.queue.toPublic(job)
+            });
+        }
+    }
+
+    sendError(res, 404, 'JOB_NOT_FOUND', 'Job not found');
+});
+
+// List an instance's outbound queue
+app.get('/instance/:instanceId/queue', requireScope('messages:send'), validateRequest, (req, res) => {
+    const { instanceId } = req.params;
+    const { status, limit } = req.query;
+    const client = clients.get(instanceId);
+
+    if (!client) {
+        return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+    }
+
+    res.json({
+        success: true,
+        data: client.queue.list({ status, limit: parseInt(limit, 10) || 50 }),
+        stats: client.queue.getStats()
+    });
+});
+
+// Create a scheduled or recurring message
+app.post('/instance/:instanceId/schedules', requireScope('messages:send'), validateRequest, (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const schedule = client.schedules.create(req.body);
+        res.json({
+            success: true,
+            data: schedule
+        });
+    } catch (error) {
+        handleError(res, error, 400);
+    }
+});
+
+// List schedules
+app.get('/instance/:instanceId/schedules', requireScope('messages:send'), validateRequest, (req, res) => {
+    const { instanceId } = req.params;
+    const { status } = req.query;
+    const client = clients.get(instanceId);
+
+    if (!client) {
+        return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+    }
+
+    res.json({
+        success: true,
+        data: client.schedules.list({ status })
+    });
+});
+
+// Get a schedule
+app.get('/instance/:instanceId/schedules/:scheduleId', requireScope('messages:send'), validateRequest, (req, res) => {
+    try {
+        const { instanceId, scheduleId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        res.json({
+            success: true,
+            data: client.schedules.get(scheduleId)
+        });
+    } catch (error) {
+        handleError(res, error, 404);
+    }
+});
+
+// Update a schedule
+app.put('/instance/:instanceId/schedules/:scheduleId', requireScope('messages:send'), validateRequest, (req, res) => {
+    try {
+        const { instanceId, scheduleId } = req.params;
+        const { instanceId: _ignored, ...changes } = req.body;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const schedule = client.schedules.update(scheduleId, changes);
+        res.json({
+            success: true,
+            data: schedule
+        });
+    } catch (error) {
+        handleError(res, error, 400);
+    }
+});
+
+// Pause, resume or cancel a schedule
+const scheduleActions = { pause: 'paused', resume: 'active', cancel: 'cancelled' };
+
+app.post('/instance/:instanceId/schedules/:scheduleId/:action(pause|resume|cancel)', requireScope('messages:send'), validateRequest, (req, res) => {
+    try {
+        const { instanceId, scheduleId, action } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const schedule = client.schedules.setStatus(scheduleId, scheduleActions[action]);
+        res.json({
+            success: true,
+            data: schedule
+        });
+    } catch (error) {
+        handleError(res, error, 400);
+    }
+});
+
+// Cancel a schedule
+app.delete('/instance/:instanceId/schedules/:scheduleId', requireScope('messages:send'), validateRequest, (req, res) => {
+    try {
+        const { instanceId, scheduleId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const schedule = client.schedules.setStatus(scheduleId, 'cancelled');
+        res.json({
+            success: true,
+            data: schedule,
+            message: 'Schedule cancelled successfully'
+        });
+    } catch (error) {
+        handleError(res, error, 400);
+    }
+});
+
+// Create a broadcast campaign (recipients as JSON, a "csv" string, or a CSV upload in the "file" field)
+app.post('/instance/:instanceId/campaigns', mediaUpload.single('file'), requireScope('messages:send'), validateRequest, (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { name, template, csv } = req.body;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        let { recipients } = req.body;
+        if (req.file) {
+            recipients = parseCSV(req.file.buffer.toString('utf8'));
+        } else if (csv) {
+            recipients = parseCSV(csv);
+        }
+
+        const campaign = client.campaigns.create({ name, template, recipients });
+        res.json({
+            success: true,
+            data: client.campaigns.summarize(campaign)
+        });
+    } catch (error) {
+        handleError(res, error, 400);
+    }
+});
+
+// List campaigns
+app.get('/instance/:instanceId/campaigns', requireScope('messages:send'), validateRequest, (req, res) => {
+    const { instanceId } = req.params;
+    const client = clients.get(instanceId);
+
+    if (!client) {
+        return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+    }
+
+    res.json({
+        success: true,
+        data: client.campaigns.list()
+    });
+});
+
+// Campaign progress with per-recipient status
+app.get('/instance/:instanceId/campaigns/:campaignId', requireScope('messages:send'), validateRequest, (req, res) => {
+    try {
+        const { instanceId, campaignId } = req.params;
+        const { status } = req.query;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const campaign = client.campaigns.get(campaignId);
+        res.json({
+            success: true,
+            data: {
+                ...client.campaigns.summarize(campaign),
+                recipients: campaign.recipients.filter(r => !status || r.status === status)
+            }
+        });
+    } catch (error) {
+        handleError(res, error, 404);
+    }
+});
+
+// Pause, resume or cancel a campaign
+app.post('/instance/:instanceId/campaigns/:campaignId/:action(pause|resume|cancel)', requireScope('messages:send'), validateRequest, (req, res) => {
+    try {
+        const { instanceId, campaignId, action } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const campaign = client.campaigns[action](campaignId);
+        res.json({
+            success: true,
+            data: campaign
+        });
+    } catch (error) {
+        handleError(res, error, 400);
+    }
+});
+
+// Export campaign results (?format=csv|json)
+app.get('/instance/:instanceId/campaigns/:campaignId/report', requireScope('messages:send'), validateRequest, (req, res) => {
+    try {
+        const { instanceId, campaignId } = req.params;
+        const { format = 'json' } = req.query;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const { columns, rows } = client.campaigns.report(campaignId);
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="campaign-${campaignId}.csv"`);
+            return res.send(toCSV(rows, columns));
+        }
+
+        res.json({
+            success: true,
+            data: {
+                campaign: client.campaigns.summarize(client.campaigns.get(campaignId)),
+                results: rows
+            }
+        });
+    } catch (error) {
+        handleError(res, error, 404);
+    }
+});
+
+// Create an auto-reply rule
+app.post('/instance/:instanceId/auto-replies', requireScope('messages:send'), validateRequest, (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const rule = client.autoReplies.create(req.body);
+        res.json({
+            success: true,
+            data: rule
+        });
+    } catch (error) {
+        handleError(res, error, 400);
+    }
+});
+
+// List auto-reply rules in evaluation order
+app.get('/instance/:instanceId/auto-replies', requireScope('messages:send'), validateRequest, (req, res) => {
+    const { instanceId } = req.params;
+    const client = clients.get(instanceId);
+
+    if (!client) {
+        return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+    }
+
+    res.json({
+        success: true,
+        data: client.autoReplies.list()
+    });
+});
+
+// Dry-run a sample message against the rules; nothing is sent and cooldowns are not started
+app.post('/instance/:instanceId/auto-replies/test', requireScope('messages:send'), validateRequest, (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { body, chatId, from, name = '', at } = req.body;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const resolvedChatId = client.resolveChatId(chatId);
+        const context = {
+            body,
+            chatId: resolvedChatId,
+            chatType: resolvedChatId.endsWith('@g.us') ? 'group' : 'direct',
+            name,
+            number: (from ? client.resolveChatId(from) : resolvedChatId).split('@')[0]
+        };
+        const { rule, reply, results } = client.autoReplies.evaluate(context, at ? new Date(at) : new Date());
+
+        res.json({
+            success: true,
+            data: {
+                matched: !!rule,
+                ruleId: rule ? rule.id : null,
+                reply: reply ? { type: reply.type, ...reply.payload, missingVariables: reply.missing } : null,
+                results
+            }
+        });
+    } catch (error) {
+        handleError(res, error, 400);
+    }
+});
+
+// Get an auto-reply rule
+app.get('/instance/:instanceId/auto-replies/:ruleId', requireScope('messages:send'), validateRequest, (req, res) => {
+    try {
+        const { instanceId, ruleId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        res.json({
+            success: true,
+            data: client.autoReplies.get(ruleId)
+        });
+    } catch (error) {
+        handleError(res, error, 404);
+    }
+});
+
+// Update an auto-reply rule
+app.put('/instance/:instanceId/auto-replies/:ruleId', requireScope('messages:send'), validateRequest, (req, res) => {
+    try {
+        const { instanceId, ruleId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const rule = client.autoReplies.update(ruleId, req.body);
+        res.json({
+            success: true,
+            data: rule
+        });
+    } catch (error) {
+        handleError(res, error, 400);
     }
+});
 
-    async getGroupById(groupId) {
-        if (!this.isReady) {
-            throw new Error('WhatsApp client is not ready');
+// Remove an auto-reply rule
+app.delete('/instance/:instanceId/auto-replies/:ruleId', requireScope('messages:send'), validateRequest, (req, res) => {
+    try {
+        const { instanceId, ruleId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        try {
-            const chat = await this.client.getChatById(groupId);
-            
-            if (!chat.isGroup) {
-                throw new Error('Chat is not a group');
-            }
+        client.autoReplies.remove(ruleId);
+        res.json({
+            success: true,
+            message: 'Auto-reply rule removed successfully'
+        });
+    } catch (error) {
+        handleError(res, error, 404);
+    }
+});
 
-            log('info', `Retrieved group info for ${groupId}`, this.instanceId);
-            
-            return {
-                id: chat.id._serialized,
-                name: chat.name,
-                description: chat.groupMetadata?.desc || '',
-                participants: chat.participants?.map(p => ({
-                    id: p.id._serialized,
-                    isAdmin: p.isAdmin,
-                    isSuperAdmin: p.isSuperAdmin
-                })) || [],
-                participantCount: chat.participants?.length || 0,
-                adminCount: chat.participants?.filter(p => p.isAdmin || p.isSuperAdmin).length || 0,
-                createdAt: chat.groupMetadata?.creation || null,
-                createdBy: chat.groupMetadata?.owner || null,
-                isReadOnly: chat.isReadOnly,
-                unreadCount: chat.unreadCount,
-                archived: chat.archived,
-                pinned: chat.pinned,
-                isMuted: chat.isMuted,
-                inviteCode: chat.inviteCode || null,
-                messagesAdminsOnly: chat.groupMetadata?.restrict || false,
-                editGroupInfoAdminsOnly: chat.groupMetadata?.announce || false
-            };
-        } catch (error) {
-            log('error', `Failed to get group: ${error.message}`, this.instanceId);
-            throw new Error(`Failed to get group: ${error.message}`);
+// Query the local message history
+app.get('/instance/:instanceId/messages', requireScope('messages:read'), validateRequest, (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { chatId, direction, since, until, q, limit, cursor } = req.query;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
-    }
 
-    getStatus() {
-        return {
-            instanceId: this.instanceId,
-            isReady: this.isReady,
-            hasQR: !!this.qrCode
-        };
+        const result = client.messageStore.query({
+            chatId: chatId ? client.resolveChatId(chatId) : undefined,
+            direction,
+            since,
+            until,
+            q,
+            limit: parseInt(limit, 10) || 50,
+            cursor
+        });
+
+        res.json({
+            success: true,
+            data: result.messages,
+            nextCursor: result.nextCursor
+        });
+    } catch (error) {
+        handleError(res, error, 400);
     }
+});
 
-    async disconnect() {
-        try {
-            log('info', 'Disconnecting client', this.instanceId);
-            await this.client.destroy();
-            return { success: true };
-        } catch (error) {
-            log('error', `Failed to disconnect: ${error.message}`, this.instanceId);
-            return { success: false, error: error.message };
+// Delivery/read status of a message
+app.get('/message/:instanceId/:messageId/status', requireScope('messages:read'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
+
+        const status = await client.getMessageStatus(messageId);
+        if (!status) {
+            return sendError(res, 404, 'MESSAGE_NOT_FOUND', 'Message not found');
+        }
+
+        res.json({
+            success: true,
+            data: status
+        });
+    } catch (error) {
+        handleError(res, error);
     }
-    async getOrCreateGroupInviteLink(groupId, forceCreate = false) {
-    if (!this.isReady) {
-        throw new Error('WhatsApp client is not ready');
-    }
+});
 
+// Delivery/read status of many messages
+app.post('/message/:instanceId/status/batch', requireScope('messages:read'), validateRequest, async (req, res) => {
     try {
-        const chat = await this.client.getChatById(groupId);
-        
-        if (!chat.isGroup) {
-            throw new Error('Chat is not a group');
+        const { instanceId } = req.params;
+        const { messageIds } = req.body;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        let inviteCode = null;
-        let inviteLink = null;
-        let created = false;
+        const results = [];
+        const notFound = [];
 
-        // Try to get existing invite code first
-        try {
-            inviteCode = await chat.getInviteCode();
-            if (inviteCode && !forceCreate) {
-                inviteLink = `https://chat.whatsapp.com/${inviteCode}`;
-                log('info', `Retrieved existing group invite link for ${groupId}`, this.instanceId);
+        for (const messageId of messageIds) {
+            const status = await client.getMessageStatus(messageId);
+            if (status) {
+                results.push(status);
+            } else {
+                notFound.push(messageId);
             }
-        } catch (error) {
-            log('warn', `No existing invite code found: ${error.message}`, this.instanceId);
         }
 
-        // If no invite code exists or forceCreate is true, create a new one
-        if (!inviteCode || forceCreate) {
-            try {
-                // Revoke existing code first if forceCreate is true
-                if (forceCreate && inviteCode) {
-                    await chat.revokeInvite();
-                    log('info', `Revoked existing invite code for ${groupId}`, this.instanceId);
-                }
-                
-                // Create new invite code
-                inviteCode = await chat.getInviteCode();
-                inviteLink = `https://chat.whatsapp.com/${inviteCode}`;
-                created = true;
-                log('info', `Created new group invite link for ${groupId}`, this.instanceId);
-            } catch (error) {
-                log('error', `Failed to create invite code: ${error.message}`, this.instanceId);
-                throw new Error(`Failed to create group invite link: ${error.message}`);
+        res.json({
+            success: true,
+            results: results,
+            notFound: notFound,
+            summary: {
+                total: messageIds.length,
+                found: results.length,
+                notFound: notFound.length
             }
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// Polls with vote counts, newest first
+app.get('/instance/:instanceId/polls', requireScope('messages:read'), validateRequest, (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { chatId, limit } = req.query;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        return {
+        res.json({
             success: true,
-            groupId: groupId,
-            inviteCode: inviteCode,
-            inviteLink: inviteLink,
-            created: created,
-            groupName: chat.name
-        };
+            data: client.polls.list({
+                chatId: chatId ? client.resolveChatId(chatId) : undefined,
+                limit: parseInt(limit, 10) || 50
+            })
+        });
     } catch (error) {
-        log('error', `Failed to get/create group invite link: ${error.message}`, this.instanceId);
-        throw new Error(`Failed to get/create group invite link: ${error.message}`);
-    }
-}
-
-async revokeGroupInviteLink(groupId) {
-    if (!this.isReady) {
-        throw new Error('WhatsApp client is not ready');
+        handleError(res, error, 400);
     }
+});
 
+// Vote counts and voters of a poll
+app.get('/message/:instanceId/:messageId/poll', requireScope('messages:read'), validateRequest, (req, res) => {
     try {
-        const chat = await this.client.getChatById(groupId);
-        
-        if (!chat.isGroup) {
-            throw new Error('Chat is not a group');
+        const { instanceId, messageId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        await chat.revokeInvite();
-        log('info', `Revoked group invite link for ${groupId}`, this.instanceId);
+        const poll = client.polls.get(messageId);
+        if (!poll) {
+            return sendError(res, 404, 'POLL_NOT_FOUND', 'Poll not found');
+        }
 
-        return {
+        res.json({
             success: true,
-            groupId: groupId,
-            message: 'Group invite link revoked successfully',
-            groupName: chat.name
-        };
+            data: client.polls.summarize(poll)
+        });
     } catch (error) {
-        log('error', `Failed to revoke group invite link: ${error.message}`, this.instanceId);
-        throw new Error(`Failed to revoke group invite link: ${error.message}`);
+        handleError(res, error);
     }
-}
-}
-// Get or create group invite link
-app.get('/group/:groupId/invite-link', async (req, res) => {
+});
+
+// Reply to (quote) a message
+app.post('/message/:instanceId/:messageId/reply', requireScope('messages:send'), validateRequest, async (req, res) => {
     try {
-        const { instanceId, forceCreate } = req.query;
-        const { groupId } = req.params;
+        const { instanceId, messageId } = req.params;
+        const { message } = req.body;
         const client = clients.get(instanceId);
 
         if (!client) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found'
-            });
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        if (!instanceId) {
-            return res.status(400).json({
-                success: false,
-                error: 'instanceId query parameter is required'
-            });
+        const result = await client.replyToMessage(messageId, message);
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// React to a message (an empty reaction removes it)
+app.post('/message/:instanceId/:messageId/react', requireScope('messages:send'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const { reaction } = req.body;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        const shouldForceCreate = forceCreate === 'true';
-        const result = await client.getOrCreateGroupInviteLink(groupId, shouldForceCreate);
-        
+        const result = await client.reactToMessage(messageId, reaction);
         res.json(result);
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        handleError(res, error);
     }
 });
 
-// Alternative POST route for creating invite link
-app.post('/group/:groupId/invite-link', async (req, res) => {
+// Edit a sent message
+app.post('/message/:instanceId/:messageId/edit', requireScope('messages:send'), validateRequest, async (req, res) => {
     try {
-        const { instanceId, forceCreate = false } = req.body;
-        const { groupId } = req.params;
+        const { instanceId, messageId } = req.params;
+        const { message } = req.body;
         const client = clients.get(instanceId);
 
         if (!client) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found'
-            });
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        if (!instanceId) {
-            return res.status(400).json({
-                success: false,
-                error: 'instanceId is required in request body'
-            });
+        const result = await client.editMessage(messageId, message);
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// Delete a message for this instance, or for everyone with ?forEveryone=true
+app.delete('/message/:instanceId/:messageId', requireScope('messages:send'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        const result = await client.getOrCreateGroupInviteLink(groupId, forceCreate);
-        
+        const result = await client.deleteMessage(messageId, req.query.forEveryone === 'true');
         res.json(result);
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        handleError(res, error);
     }
 });
 
-// Revoke group invite link
-app.delete('/group/:groupId/invite-link', async (req, res) => {
+// Forward a message to other chats
+app.post('/message/:instanceId/:messageId/forward', requireScope('messages:send'), validateRequest, async (req, res) => {
     try {
-        const { instanceId } = req.body;
-        const { groupId } = req.params;
+        const { instanceId, messageId } = req.params;
+        const { to } = req.body;
         const client = clients.get(instanceId);
 
         if (!client) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found'
-            });
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        if (!instanceId) {
-            return res.status(400).json({
-                success: false,
-                error: 'instanceId is required in request body'
-            });
+        const result = await client.forwardMessage(messageId, to);
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// Star, unstar, pin or unpin a message
+app.post('/message/:instanceId/:messageId/:action(star|unstar|pin|unpin)', requireScope('messages:send'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, messageId, action } = req.params;
+        const { duration } = req.body;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        const result = await client.revokeGroupInviteLink(groupId);
-        
+        const result = ['star', 'unstar'].includes(action)
+            ? await client.starMessage(messageId, action === 'star')
+            : await client.pinMessage(messageId, action === 'pin', duration);
         res.json(result);
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        handleError(res, error);
     }
 });
 
-// Batch get invite links for multiple groups
-app.post('/groups/invite-links/batch', async (req, res) => {
+// List contacts
+app.get('/instance/:instanceId/contacts', requireScope('contacts:read'), validateRequest, async (req, res) => {
     try {
-        const { instanceId, groupIds, forceCreate = false } = req.body;
+        const { instanceId } = req.params;
+        const { q, limit, cursor } = req.query;
         const client = clients.get(instanceId);
 
         if (!client) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found'
-            });
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        if (!instanceId || !groupIds || !Array.isArray(groupIds)) {
-            return res.status(400).json({
-                success: false,
-                error: 'instanceId and groupIds array are required'
-            });
+        const result = await client.listContacts({
+            q,
+            myContacts: parseBooleanParam(req.query.myContacts, 'myContacts'),
+            business: parseBooleanParam(req.query.business, 'business'),
+            blocked: parseBooleanParam(req.query.blocked, 'blocked'),
+            limit: parseInt(limit, 10) || 100,
+            cursor
+        });
+
+        res.json({
+            success: true,
+            data: result.contacts,
+            total: result.total,
+            nextCursor: result.nextCursor
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// Blocked contacts
+app.get('/instance/:instanceId/contacts/blocked', requireScope('contacts:read'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        const results = [];
-        const errors = [];
+        const contacts = await client.getBlockedContacts();
+        res.json({
+            success: true,
+            data: contacts,
+            count: contacts.length
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+});
 
-        for (const groupId of groupIds) {
-            try {
-                const result = await client.getOrCreateGroupInviteLink(groupId, forceCreate);
-                results.push(result);
-            } catch (error) {
-                errors.push({
-                    groupId: groupId,
-                    error: error.message
-                });
-            }
+// Contact details with about text and profile picture
+app.get('/instance/:instanceId/contacts/:contactId', requireScope('contacts:read'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, contactId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
+        const contact = await client.getContact(contactId);
         res.json({
             success: true,
-            results: results,
-            errors: errors,
-            summary: {
-                total: groupIds.length,
-                successful: results.length,
-                failed: errors.length
-            }
+            data: contact
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        handleError(res, error);
+    }
+});
+
+// Block or unblock a contact
+app.post('/instance/:instanceId/contacts/:contactId/:action(block|unblock)', requireScope('contacts:write'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, contactId, action } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const result = await client.blockContact(contactId, action === 'block');
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
     }
 });
-// API Routes
 
-// Create new instance
-app.post('/instance/create', async (req, res) => {
+// Own profile
+app.get('/instance/:instanceId/profile', requireScope('instances:read'), validateRequest, async (req, res) => {
     try {
-        const { instanceId } = req.body;
-        
-        if (!instanceId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Instance ID is required'
-            });
-        }
+        const { instanceId } = req.params;
+        const client = clients.get(instanceId);
 
-        if (clients.has(instanceId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Instance already exists'
-            });
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        const whatsappAPI = new WhatsAppAPI(instanceId);
-        clients.set(instanceId, whatsappAPI);
-
-        await whatsappAPI.initialize();
-        
-        log('info', `Instance created: ${instanceId}`, instanceId);
-        
+        const profile = await client.getProfile();
         res.json({
             success: true,
-            instanceId,
-            message: 'Instance created successfully'
+            data: profile
         });
     } catch (error) {
-        log('error', `Failed to create instance: ${error.message}`);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        handleError(res, error);
     }
 });
 
-// Get instance status
-app.get('/instance/:instanceId/status', (req, res) => {
-    const { instanceId } = req.params;
-    const client = clients.get(instanceId);
+// Update own name and/or about text
+app.put('/instance/:instanceId/profile', requireScope('instances:admin'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { name, about } = req.body;
+        const client = clients.get(instanceId);
 
-    if (!client) {
-        return res.status(404).json({
-            success: false,
-            error: 'Instance not found'
-        });
-    }
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
 
-    res.json({
-        success: true,
-        data: client.getStatus()
-    });
+        const result = await client.updateProfile({ name, about });
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
+    }
 });
 
-// Get QR Code
-app.get('/instance/:instanceId/qr', (req, res) => {
-    const { instanceId } = req.params;
-    const client = clients.get(instanceId);
+// Set own profile picture (base64 JSON body, multipart upload in the "file" field, or a local file path)
+app.put('/instance/:instanceId/profile/picture', mediaJsonParser, mediaUpload.single('file'), requireScope('instances:admin'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId } = req.params;
+        const { mimetype, data, filePath } = req.body;
+        const client = clients.get(instanceId);
 
-    if (!client) {
-        return res.status(404).json({
-            success: false,
-            error: 'Instance not found'
-        });
-    }
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
 
-    if (!client.qrCode) {
-        return res.status(400).json({
-            success: false,
-            error: 'QR Code not available. Instance might be already connected.'
-        });
-    }
+        if (!req.file && !data && !filePath) {
+            return sendError(res, 400, 'VALIDATION_ERROR', 'One of "file" upload, "data" or "filePath" is required');
+        }
 
-    res.json({
-        success: true,
-        qrCode: client.qrCode
-    });
+        const media = req.file
+            ? { data: req.file.buffer.toString('base64'), mimetype: mimetype || req.file.mimetype }
+            : { data, mimetype, filePath };
+
+        const result = await client.setProfilePicture(media);
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
+    }
 });
 
-// Send message
-app.post('/message/send', async (req, res) => {
+// Remove own profile picture
+app.delete('/instance/:instanceId/profile/picture', requireScope('instances:admin'), validateRequest, async (req, res) => {
     try {
-        const { instanceId, to, message } = req.body;
+        const { instanceId } = req.params;
         const client = clients.get(instanceId);
 
         if (!client) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found'
-            });
-        }
-
-        if (!to || !message) {
-            return res.status(400).json({
-                success: false,
-                error: 'Both "to" and "message" fields are required'
-            });
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        const result = await client.sendMessage(to, message);
+        const result = await client.setProfilePicture(null);
         res.json(result);
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        handleError(res, error);
     }
 });
 
-
 // API Routes to add to your Express app
 
 
 // Create group
-app.post('/group/create', async (req, res) => {
+app.post('/group/create', requireScope('groups:write'), validateRequest, async (req, res) => {
     try {
         const { instanceId, groupName, participants } = req.body;
         const client = clients.get(instanceId);
 
         if (!client) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found'
-            });
-        }
-
-        if (!groupName || !participants || !Array.isArray(participants)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Group name and participants array are required'
-            });
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
         const result = await client.createGroup(groupName, participants);
         res.json(result);
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        handleError(res, error);
     }
 });
 
 // Add participants to group
-app.post('/group/:groupId/participants/add', async (req, res) => {
+app.post('/group/:groupId/participants/add', requireScope('groups:write'), validateRequest, async (req, res) => {
     try {
         const { instanceId, participants, asAdmin = false } = req.body;
         const { groupId } = req.params;
         const client = clients.get(instanceId);
 
         if (!client) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found'
-            });
-        }
-
-        if (!participants || !Array.isArray(participants)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Participants array is required'
-            });
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
         const result = await client.addParticipants(groupId, participants, asAdmin);
         res.json(result);
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        handleError(res, error);
     }
 });
 
 // Promote participants to admin
-app.post('/group/:groupId/participants/promote', async (req, res) => {
+app.post('/group/:groupId/participants/promote', requireScope('groups:write'), validateRequest, async (req, res) => {
     try {
         const { instanceId, participants } = req.body;
         const { groupId } = req.params;
         const client = clients.get(instanceId);
 
         if (!client) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found'
-            });
-        }
-
-        if (!participants || !Array.isArray(participants)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Participants array is required'
-            });
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
         const result = await client.promoteParticipants(groupId, participants);
         res.json(result);
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        handleError(res, error);
     }
 });
 
 // Demote participants from admin
-app.post('/group/:groupId/participants/demote', async (req, res) => {
+app.post('/group/:groupId/participants/demote', requireScope('groups:write'), validateRequest, async (req, res) => {
     try {
         const { instanceId, participants } = req.body;
         const { groupId } = req.params;
         const client = clients.get(instanceId);
 
         if (!client) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found'
-            });
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        if (!participants || !Array.isArray(participants)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Participants array is required'
-            });
+        const result = await client.demoteParticipants(groupId, participants);
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// Remove participants from group
+app.post('/group/:groupId/participants/remove', requireScope('groups:write'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, participants } = req.body;
+        const { groupId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        const result = await client.demoteParticipants(groupId, participants);
+        const result = await client.removeParticipants(groupId, participants);
         res.json(result);
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        handleError(res, error);
+    }
+});
+
+// Leave group
+app.post('/group/:groupId/leave', requireScope('groups:write'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId } = req.body;
+        const { groupId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const result = await client.leaveGroup(groupId);
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// List pending membership requests
+app.get('/group/:groupId/membership-requests', requireScope('groups:read'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId } = req.query;
+        const { groupId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const result = await client.getMembershipRequests(groupId);
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+// Approve or reject membership requests (all pending ones when requesterIds is omitted)
+app.post('/group/:groupId/membership-requests/:action(approve|reject)', requireScope('groups:write'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, requesterIds } = req.body;
+        const { groupId, action } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const result = await client.respondToMembershipRequests(groupId, requesterIds, action === 'approve');
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
     }
 });
 
 // Update group settings
-app.put('/group/:groupId/settings', async (req, res) => {
+app.put('/group/:groupId/settings', requireScope('groups:write'), validateRequest, async (req, res) => {
     try {
         const { instanceId, ...settings } = req.body;
         const { groupId } = req.params;
         const client = clients.get(instanceId);
 
         if (!client) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found'
-            });
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
         const result = await client.updateGroupSettings(groupId, settings);
         res.json(result);
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        handleError(res, error);
+    }
+});
+
+// Reconcile a group with a desired state (subject, description, settings, members, admins)
+app.put('/group/:groupId/state', requireScope('groups:write'), validateRequest, async (req, res) => {
+    try {
+        const { instanceId, dryRun = false, subject, description, settings, members, admins } = req.body;
+        const { groupId } = req.params;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const result = await client.reconcileGroup(groupId, { subject, description, settings, members, admins }, dryRun === true);
+        res.json(result);
+    } catch (error) {
+        handleError(res, error);
     }
 });
 
 // Get all groups
-app.get('/groups/:instanceId', async (req, res) => {
+app.get('/groups/:instanceId', requireScope('groups:read'), validateRequest, async (req, res) => {
     try {
         const { instanceId } = req.params;
         const client = clients.get(instanceId);
 
         if (!client) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found'
-            });
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        let query;
+        try {
+            query = parseGroupQuery(req.query, true);
+        } catch (error) {
+            return handleError(res, error, 400);
         }
 
-        const groups = await client.getAllGroups();
+        const groups = await client.getAllGroups(query.includeParticipants, query.fresh);
+        const result = queryGroups(groups, query);
         res.json({
             success: true,
-            data: groups
+            data: result.groups,
+            meta: {
+                total: result.total,
+                returned: result.groups.length,
+                includeParticipants: query.includeParticipants,
+                nextCursor: result.nextCursor
+            }
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        handleError(res, error);
     }
 });
 
 // Get group by ID
-app.get('/group/:instanceId/:groupId', async (req, res) => {
+app.get('/group/:instanceId/:groupId', requireScope('groups:read'), validateRequest, async (req, res) => {
     try {
         const { instanceId, groupId } = req.params;
         const client = clients.get(instanceId);
 
         if (!client) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found'
-            });
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
-        const group = await client.getGroupById(groupId);
+        // fresh=true bypasses the group cache
+        const group = await client.getGroupById(groupId, req.query.fresh === 'true');
         res.json({
             success: true,
             data: group
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
+        handleError(res, error);
+    }
+});
+
+// Audit trail of a group, newest first
+app.get('/group/:instanceId/:groupId/audit', requireScope('groups:read'), validateRequest, (req, res) => {
+    try {
+        const { instanceId, groupId } = req.params;
+        const { since, until, action, source, limit, cursor } = req.query;
+        const client = clients.get(instanceId);
+
+        if (!client) {
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        const result = client.audit.query({
+            groupId,
+            since,
+            until,
+            action,
+            source,
+            limit: parseInt(limit, 10) || 100,
+            cursor
+        });
+
+        res.json({
+            success: true,
+            data: result.entries,
+            nextCursor: result.nextCursor
         });
+    } catch (error) {
+        handleError(res, error, 400);
+    }
+});
+
+// Group cache hit/miss statistics
+app.get('/instance/:instanceId/group-cache', requireScope('groups:read'), validateRequest, (req, res) => {
+    const client = clients.get(req.params.instanceId);
+
+    if (!client) {
+        return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
     }
+
+    res.json({
+        success: true,
+        data: client.groupCache.getStats()
+    });
 });
 
 // Delete instance
-app.delete('/instance/:instanceId', async (req, res) => {
+app.delete('/instance/:instanceId', requireScope('instances:admin'), validateRequest, async (req, res) => {
     try {
         const { instanceId } = req.params;
         const client = clients.get(instanceId);
 
         if (!client) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found'
-            });
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
         }
 
         await client.disconnect();
         clients.delete(instanceId);
+        unregisterInstance(instanceId);
 
         // Clean up auth directory
         const authDir = `./auth/${instanceId}`;
         if (fs.existsSync(authDir)) {
             fs.rmSync(authDir, { recursive: true, force: true });
         }
+        client.webhooks.destroy();
+        client.queue.destroy();
+        client.schedules.destroy();
+        client.campaigns.destroy();
+        client.autoReplies.destroy();
+        client.messageStore.destroy();
+        client.polls.destroy();
+        client.mediaSpool.destroy();
+        client.groupCache.destroy();
+        client.audit.destroy();
+        client.events.close();
+        await removeInstanceMetrics(instanceId);
 
         log('info', `Instance deleted: ${instanceId}`);
 
@@ -1025,10 +7079,58 @@ app.delete('/instance/:instanceId', async (req, res) => {
             message: 'Instance deleted successfully'
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
+        handleError(res, error);
+    }
+});
+
+// Create API key
+app.post('/auth/keys', requireScope('keys:admin'), validateRequest, (req, res) => {
+    try {
+        const { name, instanceIds, scopes } = req.body;
+        const apiKey = apiKeys.create({ name, instanceIds, scopes }, req.apiKey || null);
+
+        res.json({
+            success: true,
+            data: apiKey
+        });
+    } catch (error) {
+        handleError(res, error, 400);
+    }
+});
+
+// List API keys
+app.get('/auth/keys', requireScope('keys:admin'), validateRequest, (req, res) => {
+    res.json({
+        success: true,
+        data: apiKeys.list(req.apiKey || null),
+        availableScopes: API_SCOPES
+    });
+});
+
+// Rotate API key (same id, scopes and instances, new secret)
+app.post('/auth/keys/:keyId/rotate', requireScope('keys:admin'), validateRequest, (req, res) => {
+    try {
+        const apiKey = apiKeys.rotate(req.params.keyId, req.apiKey || null);
+        res.json({
+            success: true,
+            data: apiKey
+        });
+    } catch (error) {
+        handleError(res, error, 404);
+    }
+});
+
+// Revoke API key
+app.delete('/auth/keys/:keyId', requireScope('keys:admin'), validateRequest, (req, res) => {
+    try {
+        const apiKey = apiKeys.revoke(req.params.keyId, req.apiKey || null);
+        res.json({
+            success: true,
+            data: apiKey,
+            message: 'API key revoked successfully'
         });
+    } catch (error) {
+        handleError(res, error, 404);
     }
 });
 
@@ -1042,51 +7144,120 @@ app.get('/health', (req, res) => {
     });
 });
 
-app.get('/groups/:instanceId/summary', async (req, res) => {
+// Prometheus metrics
+app.get('/metrics', METRICS_PUBLIC ? (req, res, next) => next() : requireScope('metrics:read'), async (req, res) => {
+    try {
+        // Series of every instance are returned, so a key bound to some instances cannot read them
+        if (req.apiKey && !req.apiKey.instanceIds.includes('*')) {
+            return sendError(res, 403, 'INSTANCE_FORBIDDEN', 'Metrics cover every instance and need a key for all instances ("*")');
+        }
+        res.set('Content-Type', metricsRegistry.contentType);
+        res.end(await metricsRegistry.metrics());
+    } catch (error) {
+        handleError(res, error);
+    }
+});
+
+app.get('/groups/:instanceId/summary', requireScope('groups:read'), validateRequest, async (req, res) => {
     try {
         const { instanceId } = req.params;
         const client = clients.get(instanceId);
 
         if (!client) {
-            return res.status(404).json({
-                success: false,
-                error: 'Instance not found'
-            });
+            return sendError(res, 404, 'INSTANCE_NOT_FOUND', 'Instance not found');
+        }
+
+        let query;
+        try {
+            // Participants are excluded from the summary unless asked for
+            query = parseGroupQuery(req.query, false);
+        } catch (error) {
+            return handleError(res, error, 400);
         }
 
-        // Always exclude participants for summary endpoint
-        const groups = await client.getAllGroups(false);
+        const groups = await client.getAllGroups(query.includeParticipants, query.fresh);
+        const result = queryGroups(groups, query);
         res.json({
             success: true,
-            data: groups,
+            data: result.groups,
             meta: {
                 totalGroups: groups.length,
-                includeParticipants: false,
-                note: "Use /groups/:instanceId?includeParticipants=true to get full participant details"
+                matchingGroups: result.total,
+                returned: result.groups.length,
+                includeParticipants: query.includeParticipants,
+                nextCursor: result.nextCursor
             }
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        handleError(res, error);
     }
 });
 
+// Unknown routes
+app.use((req, res) => {
+    sendError(res, 404, 'ROUTE_NOT_FOUND', `No route for ${req.method} ${req.path}`);
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
     log('error', `API Error: ${error.message}`);
-    res.status(500).json({
-        success: false,
-        error: error.message
-    });
+
+    // Oversized bodies and uploads
+    if (error.type === 'entity.too.large' || error.code === 'LIMIT_FILE_SIZE') {
+        return handleError(res, error, 413);
+    }
+
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'INVALID_JSON', `Malformed JSON body: ${error.message}`);
+    }
+
+    handleError(res, error);
 });
 
+// Re-initialize every instance from the registry, one at a time to avoid launching all browsers at once
+const restoreInstances = async () => {
+    const entries = Object.values(loadRegistry());
+    if (entries.length === 0) {
+        return;
+    }
+
+    log('info', `Restoring ${entries.length} instance(s) from registry`);
+
+    for (const entry of entries) {
+        if (clients.has(entry.instanceId)) {
+            continue;
+        }
+
+        // One broken entry must not keep the others from starting
+        try {
+            const whatsappAPI = new WhatsAppAPI(entry.instanceId, entry.options || {});
+            clients.set(entry.instanceId, whatsappAPI);
+
+            const result = await whatsappAPI.initialize();
+            if (result.success) {
+                log('info', `Instance restored: ${entry.instanceId}`, entry.instanceId);
+            } else {
+                log('error', `Failed to restore instance: ${result.error}`, entry.instanceId);
+            }
+        } catch (error) {
+            log('error', `Failed to restore instance: ${error.message}`, entry.instanceId);
+        }
+    }
+};
+
 // Start server
 app.listen(PORT, () => {
     log('info', `WhatsApp API Server running on port ${PORT}`);
     console.log('\n🚀 Server is ready!');
     console.log(`📱 Health: http://localhost:${PORT}/health`);
+
+    if (AUTH_DISABLED) {
+        log('warn', 'AUTH_DISABLED is set, every route is open without an API key');
+    } else if (!ADMIN_API_KEY && apiKeys.keys.length === 0) {
+        log('warn', 'No API keys exist and ADMIN_API_KEY is not set, every authenticated route will be rejected');
+    }
+
+    restoreInstances().catch(error => log('error', `Failed to restore instances: ${error.message}`));
 });
 
 // Graceful shutdown
@@ -1103,6 +7274,7 @@ const gracefulShutdown = async (signal) => {
     }
     
     log('info', 'Graceful shutdown completed');
+    await logWriter.close();
     process.exit(0);
 };
 